@@ -6,6 +6,10 @@ import fs from "fs";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import { createApiRoutes } from "./src/routes/apiRoutes.js";
+import { requestContext } from "./src/helper/requestContext.helper.js";
+import { startReleaseWatcher } from "./src/helper/releaseWatcher.helper.js";
+import { startWebhooks } from "./src/helper/webhook.helper.js";
+import { startExtractorHealth } from "./src/helper/extractorHealth.helper.js";
 
 dotenv.config();
 
@@ -14,40 +18,69 @@ const PORT = process.env.PORT || 4444;
 const __filename = fileURLToPath(import.meta.url);
 const publicDir = path.join(dirname(__filename), "public");
 const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(",");
+// Routes any origin may read, whatever ALLOWED_ORIGINS says
+const publicRoutes = [
+  /^\/api\/subtitles$/,
+  /^\/api\/schedule(\/[^/]+)?\.ics$/,
+  /^\/api\/feed\//,
+  /^\/api\/openapi\.json$/,
+];
 
 // Express CORS setup
 app.use(
   cors({
     origin: allowedOrigins?.includes("*") ? "*" : allowedOrigins || [],
-    methods: ["GET"],
+    methods: ["GET", "POST", "PATCH", "DELETE"],
   })
 );
 
 // Custom CORS middleware
 app.use((req, res, next) => {
   const origin = req.headers.origin;
+  if (publicRoutes.some((route) => route.test(req.path))) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    return next();
+  }
   if (
     !allowedOrigins ||
     allowedOrigins.includes("*") ||
     (origin && allowedOrigins.includes(origin))
   ) {
     res.setHeader("Access-Control-Allow-Origin", origin || "*");
-    res.setHeader("Access-Control-Allow-Methods", "GET");
-    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
     return next();
   }
   res
     .status(403)
-    .json({ success: false, message: "Forbidden: Origin not allowed" });
+    .json({
+      success: false,
+      code: "FORBIDDEN",
+      message: "Forbidden: Origin not allowed",
+    });
 });
 
 app.use(express.static(publicDir, { redirect: false }));
 
+// Lets helpers deep in the extractors reach the current response
+app.use(requestContext);
+
+// Webhook subscriptions are managed with JSON bodies
+app.use(express.json({ limit: "100kb" }));
+
 const jsonResponse = (res, data, status = 200) =>
   res.status(status).json({ success: true, results: data });
 
-const jsonError = (res, message = "Internal server error", status = 500) =>
-  res.status(status).json({ success: false, message });
+// `error` is an ApiError, its class decides the status and code
+const jsonError = (res, error) => {
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  return res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.details && { details: error.details }),
+  });
+};
 
 createApiRoutes(app, jsonResponse, jsonError);
 
@@ -63,3 +96,7 @@ app.get("*", (req, res) => {
 app.listen(PORT, () => {
   console.info(`Listening at ${PORT}`);
 });
+
+startWebhooks();
+startReleaseWatcher();
+startExtractorHealth();
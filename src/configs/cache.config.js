@@ -0,0 +1,47 @@
+import path from "path";
+import dotenv from "dotenv";
+import { DATA_DIR } from "./storage.config.js";
+
+dotenv.config();
+
+// memory | disk | remote — defaults to remote when only CACHE_URL is set
+export const CACHE_DRIVER = (
+  process.env.CACHE_DRIVER || (process.env.CACHE_URL ? "remote" : "memory")
+).toLowerCase();
+
+export const CACHE_URL = process.env.CACHE_URL || null;
+export const CACHE_DIR = path.resolve(
+  process.env.CACHE_DIR || path.join(DATA_DIR, "cache")
+);
+export const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 1000;
+
+// TTLs are in seconds
+export const CACHE_DEFAULT_TTL = Number(process.env.CACHE_DEFAULT_TTL) || 600;
+
+// How long past its TTL an entry may still be served while it is refreshed
+export const CACHE_STALE_TTL = Number(process.env.CACHE_STALE_TTL) || 3600;
+
+export const CACHE_TTL = {
+  home: 300,
+  topTen: 600,
+  topSearch: 1800,
+  category: 900,
+  producer: 1800,
+  info: 3600,
+  episodes: 600,
+  servers: 900,
+  stream: 300,
+  search: 900,
+  filter: 900,
+  suggestion: 1800,
+  schedule: 900,
+  nextEpisodeSchedule: 900,
+  qtip: 3600,
+  voiceActors: 3600,
+  character: 86400,
+  actor: 86400,
+  anilistInfo: 3600,
+  anilistServers: 3600,
+  anilistSources: 1800,
+  subtitles: 86400,
+};
@@ -0,0 +1,14 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// External extraction service tried after the in-process decryptors, e.g.
+// https://decrypt.zenime.site/extract. Unset means sources never leave the
+// server.
+export const DECRYPT_FALLBACK_URL = process.env.DECRYPT_FALLBACK_URL || "";
+
+// Order the decryptor chain tries its strategies in, see chain.decryptor.js
+export const DECRYPTORS = (process.env.DECRYPTORS || "v1,allServers")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
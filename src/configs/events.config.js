@@ -0,0 +1,11 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Seconds between two polls of today's schedule and the recently-updated
+// page while /api/events has listeners
+export const EVENTS_POLL_INTERVAL =
+  Number(process.env.EVENTS_POLL_INTERVAL) || 300;
+
+// Events kept for clients reconnecting with Last-Event-ID
+export const EVENTS_BUFFER = Number(process.env.EVENTS_BUFFER) || 500;
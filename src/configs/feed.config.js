@@ -0,0 +1,11 @@
+import path from "path";
+import dotenv from "dotenv";
+import { DATA_DIR } from "./storage.config.js";
+
+dotenv.config();
+
+// When each feed item was first seen, so a restart doesn't redate every item
+// and make feed readers show them again
+export const FEED_STATE_FILE = path.resolve(
+  process.env.FEED_STATE_FILE || path.join(DATA_DIR, "feed-items.json")
+);
@@ -0,0 +1,20 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Seconds between two rounds of canary scrapes, 0 turns them off
+export const HEALTH_CHECK_INTERVAL = Number(
+  process.env.HEALTH_CHECK_INTERVAL ?? 3600
+);
+
+// Anime the info, episodes and servers canaries scrape, one that is sure to
+// stay listed with a long episode list
+export const HEALTH_CANARY_ID = process.env.HEALTH_CANARY_ID || "one-piece-100";
+
+// Rounds a field's fill rate is remembered for, its usual rate is the mean
+// of the earlier ones
+export const HEALTH_HISTORY = Number(process.env.HEALTH_HISTORY) || 24;
+
+// Share of its usual fill rate a field may lose before the extractor is
+// flagged, 0.3 flags a field usually filled 100% once it drops under 70%
+export const HEALTH_FILL_DROP = Number(process.env.HEALTH_FILL_DROP) || 0.3;
@@ -0,0 +1,32 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// "host=value,host=value" -> { host: value }
+const perHost = (name) =>
+  Object.fromEntries(
+    (process.env[name] || "")
+      .split(",")
+      .map((pair) => pair.split("=").map((part) => part.trim()))
+      .filter(([host, value]) => host && Number(value) > 0)
+      .map(([host, value]) => [host, Number(value)])
+  );
+
+// Request timeout in ms, per host overrides in HTTP_HOST_TIMEOUTS
+export const HTTP_TIMEOUT = Number(process.env.HTTP_TIMEOUT) || 10000;
+export const HTTP_HOST_TIMEOUTS = perHost("HTTP_HOST_TIMEOUTS");
+
+// Retries after the first attempt on 429, 5xx and network errors
+export const HTTP_RETRIES = Number(process.env.HTTP_RETRIES ?? 2);
+
+// Time in ms a request may take across all of its retries and mirrors
+export const HTTP_DEADLINE = Number(process.env.HTTP_DEADLINE) || 30000;
+
+// Backoff before retry n is a random delay up to base * 2^n, capped, in ms
+export const HTTP_BACKOFF_BASE = Number(process.env.HTTP_BACKOFF_BASE) || 300;
+export const HTTP_BACKOFF_MAX = Number(process.env.HTTP_BACKOFF_MAX) || 5000;
+
+// Requests running at once against a single host, per host overrides in
+// HTTP_HOST_CONCURRENCY
+export const HTTP_CONCURRENCY = Number(process.env.HTTP_CONCURRENCY) || 6;
+export const HTTP_HOST_CONCURRENCY = perHost("HTTP_HOST_CONCURRENCY");
@@ -0,0 +1,21 @@
+import path from "path";
+import dotenv from "dotenv";
+import { DATA_DIR } from "./storage.config.js";
+
+dotenv.config();
+
+// AniList/MAL <-> hianime id mappings found by the matcher
+export const MAPPING_FILE = path.resolve(
+  process.env.MAPPING_FILE || path.join(DATA_DIR, "mappings.json")
+);
+
+// Hand maintained corrections, they win over anything the matcher found.
+// { "<anilistId>": "<hianimeId>" } or { "<anilistId>": { "hiAnimeId", "malId" } }
+export const MAPPING_OVERRIDES_FILE = path.resolve(
+  process.env.MAPPING_OVERRIDES_FILE ||
+    path.join(DATA_DIR, "mapping-overrides.json")
+);
+
+// Most AniList IDs /api/anilist/map checks in one request, each one costs a
+// few hianime searches
+export const MAPPING_BATCH_LIMIT = Number(process.env.MAPPING_BATCH_LIMIT) || 50;
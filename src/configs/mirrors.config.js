@@ -0,0 +1,36 @@
+import dotenv from "dotenv";
+import { v1_base_url } from "../utils/base_v1.js";
+import { v2_base_url } from "../utils/base_v2.js";
+import { v4_base_url } from "../utils/base_v4.js";
+
+dotenv.config();
+
+const fromEnv = (name) =>
+  process.env[name]
+    ?.split(",")
+    .map((host) => host.trim())
+    .filter(Boolean);
+
+// Urls are built with the base url, so it has to stay in the list even when
+// the env var leaves it out
+const withBase = (hosts, base) =>
+  hosts.includes(base) ? hosts : [...hosts, base];
+
+// Ordered mirror domains per provider, the first entry is the primary one
+export const MIRRORS = {
+  hianime: withBase(
+    fromEnv("HIANIME_MIRRORS") || [
+      v1_base_url,
+      "hianime.nz",
+      "hianime.sx",
+      "hianime.bz",
+      "hianime.pe",
+    ],
+    v1_base_url
+  ),
+  kaido: withBase(fromEnv("KAIDO_MIRRORS") || [], v2_base_url),
+  "9animetv": withBase(fromEnv("NINEANIMETV_MIRRORS") || [], v4_base_url),
+};
+
+// How long a failing mirror is skipped before it is tried again, in ms
+export const MIRROR_COOLDOWN = Number(process.env.MIRROR_COOLDOWN) || 60000;
@@ -0,0 +1,15 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Providers tried, in order, when a request doesn't name any with ?provider=
+export const DEFAULT_PROVIDERS = (process.env.PROVIDERS || "hianime,kaido")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Aniplay hosts tried, in order, when a request doesn't name one as its server
+export const ANIPLAY_HOSTS = (process.env.ANIPLAY_HOSTS || "hika")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
@@ -0,0 +1,29 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Referer sent upstream when a proxy request doesn't give one, the MegaCloud
+// CDNs refuse requests without it
+export const PROXY_DEFAULT_REFERER =
+  process.env.PROXY_DEFAULT_REFERER || "https://megacloud.blog/";
+
+// Host suffixes the proxies may fetch from, "*" allows any public host
+export const PROXY_ALLOWED_HOSTS = (
+  process.env.PROXY_ALLOWED_HOSTS ||
+  [
+    "megacloud.blog",
+    "megacloud.club",
+    "megacloud.tv",
+    "rapid-cloud.co",
+    "megastatics.com",
+    "netmagcdn.com",
+    "biananset.net",
+  ].join(",")
+)
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Redirects a proxied request may follow, each one checked like the first url
+export const PROXY_MAX_REDIRECTS =
+  Number(process.env.PROXY_MAX_REDIRECTS ?? 5);
@@ -0,0 +1,15 @@
+import path from "path";
+import dotenv from "dotenv";
+import { DATA_DIR } from "./storage.config.js";
+
+dotenv.config();
+
+// Last sub/dub episode counts seen per watched anime, so releases made while
+// the server was down are still noticed
+export const RELEASE_STATE_FILE = path.resolve(
+  process.env.RELEASE_STATE_FILE || path.join(DATA_DIR, "releases.json")
+);
+
+// Seconds between two checks of the watched anime
+export const RELEASE_CHECK_INTERVAL =
+  Number(process.env.RELEASE_CHECK_INTERVAL) || 600;
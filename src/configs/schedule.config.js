@@ -0,0 +1,10 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Timezone of schedules and of the home page's "today" when a request names
+// none, an IANA name or a UTC offset
+export const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || "Asia/Kolkata";
+
+// Longest date range /api/schedule answers, every day is one upstream request
+export const SCHEDULE_MAX_DAYS = Number(process.env.SCHEDULE_MAX_DAYS) || 14;
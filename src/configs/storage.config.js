@@ -0,0 +1,7 @@
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Root directory for everything the API persists on disk (cache, mappings, ...)
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
@@ -0,0 +1,26 @@
+import path from "path";
+import dotenv from "dotenv";
+import { DATA_DIR } from "./storage.config.js";
+
+dotenv.config();
+
+// Registered webhook subscriptions
+export const WEBHOOK_FILE = path.resolve(
+  process.env.WEBHOOK_FILE || path.join(DATA_DIR, "webhooks.json")
+);
+
+// Deliveries retried after a failure, waiting WEBHOOK_RETRY_DELAY seconds
+// and doubling the wait every time
+export const WEBHOOK_RETRIES = Number(process.env.WEBHOOK_RETRIES ?? 5);
+export const WEBHOOK_RETRY_DELAY =
+  Number(process.env.WEBHOOK_RETRY_DELAY) || 30;
+
+// ms a webhook endpoint gets to answer
+export const WEBHOOK_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT) || 10000;
+
+// Bearer token creating or changing a webhook requires, neither is possible
+// while it's unset
+export const WEBHOOK_TOKEN = process.env.WEBHOOK_TOKEN || null;
+
+// Most anime one subscription may follow
+export const WEBHOOK_MAX_ANIME = Number(process.env.WEBHOOK_MAX_ANIME) || 100;
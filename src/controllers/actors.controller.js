@@ -1,20 +1,23 @@
 import extractVoiceActor from "../extractors/actors.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import { NotFoundError } from "../helper/errors.helper.js";
 
 const getVoiceActor = async (req, res) => {
   const id = req.params.id;
-  try {
-    const voiceActorData = await extractVoiceActor(id);
+  const voiceActorData = await withCache(
+    `actor_${id}`,
+    CACHE_TTL.actor,
+    () => extractVoiceActor(id),
+    { shouldCache: (data) => data?.results?.data?.length > 0 }
+  );
 
-    // Ensure the data is structured correctly
-    if (!voiceActorData || voiceActorData.results.data.length === 0) {
-      return res.status(404).json({ error: "No voice actor found." });
-    }
-
-    return res.json(voiceActorData); // Return the desired structure
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "An error occurred" });
+  // Ensure the data is structured correctly
+  if (!voiceActorData || voiceActorData.results.data.length === 0) {
+    throw new NotFoundError("No voice actor found.");
   }
+
+  return res.json(voiceActorData); // Return the desired structure
 };
 
 export default getVoiceActor;
@@ -1,76 +1,124 @@
-import { fetchAnilistInfo, mapAnilistToHiAnimeId, getEpisodesByHiAnimeId } from '../utils/anilist.service.js';
+import { fetchAnilistInfo, mapAnilistToHiAnimeId, matchAnilistToHiAnime, getEpisodesByHiAnimeId, getMapping } from '../utils/anilist.service.js';
 import extractAnimeInfo from '../extractors/animeInfo.extractor.js';
-import { extractServers, extractStreamingInfo } from '../extractors/streamInfo.extractor.js';
-import { getCachedData, setCachedData } from '../helper/cache.helper.js';
+import { withCache } from '../helper/cache.helper.js';
+import { mergeAnimeInfo } from '../helper/animeMerge.helper.js';
+import { CACHE_TTL } from '../configs/cache.config.js';
+import { MAPPING_BATCH_LIMIT } from '../configs/mapping.config.js';
+import { resolveProviders, callProviders, chainKey } from '../providers/providerRegistry.js';
+import { BadInputError, NotFoundError, toApiError } from '../helper/errors.helper.js';
+
+// AniList IDs and episode numbers come straight from the path
+function assertNumber(value, label) {
+  if (!value || isNaN(Number(value))) {
+    throw new BadInputError(`Invalid ${label}: ${value}. Must be a number.`);
+  }
+}
+
+/**
+ * Runs the matcher for an AniList ID without storing anything, next to the
+ * mapping the routes currently use
+ * @param {number} id - AniList ID
+ * @returns {Promise<object>} - Diagnostic with the chosen ID, candidates and reason
+ */
+async function diagnoseMapping(id) {
+  let anilistInfo;
+  try {
+    anilistInfo = await fetchAnilistInfo(id);
+  } catch (error) {
+    error.message = `Failed to fetch AniList info: ${error.message}`;
+    throw toApiError(error, NotFoundError);
+  }
+
+  let matched;
+  try {
+    matched = await matchAnilistToHiAnime(anilistInfo);
+  } catch (error) {
+    throw toApiError(error, NotFoundError);
+  }
+
+  const stored = await getMapping('anilistId', id);
+  return {
+    anilistId: Number(id),
+    anilistInfo: {
+      title: anilistInfo.title,
+      episodes: anilistInfo.episodes,
+      format: anilistInfo.format,
+      status: anilistInfo.status,
+      year: anilistInfo.seasonYear || anilistInfo.startDate?.year || null
+    },
+    hiAnimeId: matched.hiAnimeId,
+    confidence: matched.confidence,
+    source: matched.source,
+    reason: matched.reason,
+    searchTitles: matched.searchTitles,
+    candidates: matched.candidates,
+    // what the AniList routes use right now (an override or an earlier match)
+    stored: stored
+      ? { hiAnimeId: stored.hiAnimeId, confidence: stored.confidence, source: stored.source }
+      : null,
+    matchesStored: stored ? stored.hiAnimeId === matched.hiAnimeId : null
+  };
+}
 
 /**
  * Test AniList ID mapping
  * @param {object} req - Express request object
  * @param {object} res - Express response object
- * @returns {object} - Mapping result
+ * @returns {object} - Mapping diagnostic
  */
 export const testAnilistMapping = async (req, res) => {
   const { id } = req.params;
-  
-  try {
-    // Validate ID
-    if (!id || isNaN(Number(id))) {
-      res.status(400).json({ 
-        success: false, 
-        message: `Invalid AniList ID: ${id}. Must be a number.` 
-      });
-      return;
-    }
-    
-    console.log(`Testing AniList ID mapping for ID: ${id}`);
-    
-    // First get AniList info
-    let anilistInfo;
-    try {
-      anilistInfo = await fetchAnilistInfo(id);
-      console.log('AniList info fetched successfully');
-    } catch (error) {
-      console.error(`Failed to fetch AniList info for ID ${id}:`, error);
-      res.status(404).json({ 
-        success: false, 
-        message: `Failed to fetch AniList info: ${error.message}` 
-      });
-      return;
-    }
-    
-    // Then try to map to HiAnime ID
-    let hiAnimeId;
-    try {
-      hiAnimeId = await mapAnilistToHiAnimeId(id);
-      console.log(`Successfully mapped AniList ID ${id} to HiAnime ID ${hiAnimeId}`);
-    } catch (error) {
-      console.error(`Failed to map AniList ID ${id} to HiAnime ID:`, error);
-      res.status(404).json({ 
-        success: false, 
-        message: error.message || `Failed to map AniList ID ${id} to HiAnime ID` 
-      });
-      return;
-    }
-    
-    return {
-      success: true,
-      anilistId: Number(id),
-      anilistInfo: {
-        title: anilistInfo.title,
-        episodes: anilistInfo.episodes,
-        format: anilistInfo.format,
-        status: anilistInfo.status
-      },
-      hiAnimeId
-    };
-  } catch (error) {
-    console.error('Error in testAnilistMapping:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: `Internal server error: ${error.message}` 
-    });
-    return;
+  assertNumber(id, 'AniList ID');
+  return await diagnoseMapping(id);
+};
+
+/**
+ * Test the mapping of many AniList IDs at once (?ids=1,2,3)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} - Diagnostics, one per ID, failures included
+ */
+export const testAnilistMappings = async (req, res) => {
+  const ids = [...new Set(
+    String(req.query.ids || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean)
+  )];
+
+  const invalid = ids.filter((id) => isNaN(Number(id)));
+  if (ids.length === 0 || invalid.length) {
+    throw new BadInputError(
+      ids.length
+        ? `Invalid AniList IDs: ${invalid.join(', ')}. Must be numbers.`
+        : 'Missing required query parameter: ids'
+    );
   }
+  if (ids.length > MAPPING_BATCH_LIMIT) {
+    throw new BadInputError(
+      `Too many AniList IDs: ${ids.length}. At most ${MAPPING_BATCH_LIMIT} per request.`
+    );
+  }
+
+  // all at once, the shared client's per-host limit (HTTP_HOST_CONCURRENCY)
+  // keeps the searches they run from piling up on hianime and AniList
+  const results = await Promise.all(
+    ids.map(async (id) => {
+      try {
+        return { success: true, ...(await diagnoseMapping(id)) };
+      } catch (error) {
+        console.error(`Failed to map AniList ID ${id} to HiAnime ID:`, error.message);
+        return { success: false, anilistId: Number(id), message: error.message };
+      }
+    })
+  );
+
+  return {
+    total: results.length,
+    mapped: results.filter((result) => result.success).length,
+    changed: results.filter((result) => result.matchesStored === false).length,
+    results
+  };
 };
 
 /**
@@ -81,79 +129,65 @@ export const testAnilistMapping = async (req, res) => {
  */
 export const getAnimeInfoByAnilistId = async (req, res) => {
   const { id } = req.params;
-  const cacheKey = `anilist_info_${id}`;
-
-  try {
-    // Validate ID
-    if (!id || isNaN(Number(id))) {
-      res.status(400).json({ 
-        success: false, 
-        message: `Invalid AniList ID: ${id}. Must be a number.` 
-      });
-      return;
-    }
-
-    // Check cache first
-    const cachedData = await getCachedData(cacheKey);
-    if (cachedData && Object.keys(cachedData).length > 0) {
-      return cachedData;
-    }
-
-    // Get HiAnime ID from AniList ID
-    let hiAnimeId;
-    try {
-      hiAnimeId = await mapAnilistToHiAnimeId(id);
-    } catch (error) {
-      console.error(`Failed to map AniList ID ${id} to HiAnime ID:`, error);
-      res.status(404).json({ 
-        success: false, 
-        message: error.message || `Failed to map AniList ID ${id} to HiAnime ID` 
-      });
-      return;
-    }
-    
-    // Get anime info from HiAnime
-    const animeInfo = await extractAnimeInfo(hiAnimeId);
-    if (!animeInfo) {
-      res.status(404).json({ 
-        success: false, 
-        message: `Failed to extract anime info for HiAnime ID: ${hiAnimeId}` 
-      });
-      return;
-    }
-    
-    // Get episodes list
-    let episodesList;
-    try {
-      episodesList = await getEpisodesByHiAnimeId(hiAnimeId);
-    } catch (error) {
-      console.error(`Failed to get episodes for HiAnime ID ${hiAnimeId}:`, error);
-      episodesList = [];
-    }
-    
-    // Combine data
-    const responseData = {
-      anilistId: Number(id),
-      hiAnimeId,
-      info: animeInfo,
-      episodes: episodesList || []
-    };
+  assertNumber(id, 'AniList ID');
 
-    // Cache the response
-    setCachedData(cacheKey, responseData, 3600).catch((err) => {
-      console.error("Failed to set cache:", err);
-    });
+  return withCache(`anilist_info_${id}`, CACHE_TTL.anilistInfo, () =>
+    buildAnilistInfo(id)
+  );
+};
 
-    return responseData;
+// Anime info of an AniList ID, merged with its HiAnime page and episodes
+async function buildAnilistInfo(id) {
+  // Get HiAnime ID from AniList ID
+  let hiAnimeId;
+  try {
+    hiAnimeId = await mapAnilistToHiAnimeId(id);
   } catch (error) {
-    console.error('Error in getAnimeInfoByAnilistId:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: `Internal server error: ${error.message}` 
-    });
-    return;
+    console.error(`Failed to map AniList ID ${id} to HiAnime ID:`, error.message);
+    throw toApiError(error, NotFoundError);
   }
-};
+  
+  // Get anime info from HiAnime, and the AniList entry to merge it with
+  const [animeInfo, anilistMedia] = await Promise.all([
+    extractAnimeInfo(hiAnimeId),
+    fetchAnilistInfo(id).catch((error) => {
+      console.error(`Failed to fetch AniList info for ID ${id}:`, error.message);
+      return null;
+    })
+  ]);
+  if (!animeInfo) {
+    throw new NotFoundError(`Failed to extract anime info for HiAnime ID: ${hiAnimeId}`);
+  }
+  
+  // Get episodes list
+  let episodesList;
+  try {
+    episodesList = await getEpisodesByHiAnimeId(hiAnimeId);
+  } catch (error) {
+    console.error(`Failed to get episodes for HiAnime ID ${hiAnimeId}:`, error);
+    episodesList = [];
+  }
+  
+  // How sure the mapping is, with the runner-up candidates to pick from
+  const mapping = await getMapping('anilistId', id);
+
+  // Combine data, `provenance` tells which source each merged field came from
+  const { data: merged, provenance } = mergeAnimeInfo(anilistMedia, animeInfo, episodesList);
+  return {
+    anilistId: Number(id),
+    malId: anilistMedia?.idMal ?? (animeInfo.malId ? Number(animeInfo.malId) : null),
+    hiAnimeId,
+    mapping: {
+      confidence: mapping?.confidence ?? null,
+      source: mapping?.source ?? null,
+      candidates: mapping?.candidates ?? []
+    },
+    merged,
+    provenance,
+    info: animeInfo,
+    episodes: episodesList || []
+  };
+}
 
 /**
  * Get episode servers by AniList ID and episode number
@@ -163,103 +197,45 @@ export const getAnimeInfoByAnilistId = async (req, res) => {
  */
 export const getEpisodeServersByAnilistId = async (req, res) => {
   const { id, episodeNumber } = req.params;
-  const cacheKey = `anilist_servers_${id}_${episodeNumber}`;
-
-  try {
-    // Validate ID and episode number
-    if (!id || isNaN(Number(id))) {
-      res.status(400).json({ 
-        success: false, 
-        message: `Invalid AniList ID: ${id}. Must be a number.` 
-      });
-      return;
-    }
-
-    if (!episodeNumber || isNaN(Number(episodeNumber))) {
-      res.status(400).json({ 
-        success: false, 
-        message: `Invalid episode number: ${episodeNumber}. Must be a number.` 
-      });
-      return;
-    }
-
-    // Check cache first
-    const cachedData = await getCachedData(cacheKey);
-    if (cachedData && Object.keys(cachedData).length > 0) {
-      return cachedData;
-    }
+  assertNumber(id, 'AniList ID');
+  assertNumber(episodeNumber, 'episode number');
 
-    // Get HiAnime ID from AniList ID
-    let hiAnimeId;
-    try {
-      hiAnimeId = await mapAnilistToHiAnimeId(id);
-    } catch (error) {
-      console.error(`Failed to map AniList ID ${id} to HiAnime ID:`, error);
-      res.status(404).json({ 
-        success: false, 
-        message: error.message || `Failed to map AniList ID ${id} to HiAnime ID` 
-      });
-      return;
-    }
-    
-    // Get episodes list
-    let episodesList;
-    try {
-      episodesList = await getEpisodesByHiAnimeId(hiAnimeId);
-    } catch (error) {
-      console.error(`Failed to get episodes for HiAnime ID ${hiAnimeId}:`, error);
-      res.status(404).json({ 
-        success: false, 
-        message: `Failed to get episodes for anime with AniList ID ${id}: ${error.message}` 
-      });
-      return;
-    }
-    
-    // Find the requested episode
-    const episode = episodesList.find(ep => ep.number === Number(episodeNumber));
-    
-    if (!episode) {
-      res.status(404).json({ 
-        success: false, 
-        message: `Episode ${episodeNumber} not found for anime with AniList ID ${id}` 
-      });
-      return;
-    }
-    
-    // Get servers for the episode
-    const servers = await extractServers(episode.episodeId);
-    
-    if (!servers || servers.length === 0) {
-      res.status(404).json({ 
-        success: false, 
-        message: `No servers found for episode ${episodeNumber} of anime with AniList ID ${id}` 
-      });
-      return;
-    }
-    
-    const responseData = {
-      anilistId: Number(id),
-      hiAnimeId,
-      episodeNumber: Number(episodeNumber),
-      episodeId: episode.episodeId,
-      servers
-    };
-
-    // Cache the response
-    setCachedData(cacheKey, responseData, 3600).catch((err) => {
-      console.error("Failed to set cache:", err);
-    });
+  const chain = resolveProviders(req.query.provider);
+  const data = await withCache(
+    `anilist_servers_${chainKey(chain)}_${id}_${episodeNumber}`,
+    CACHE_TTL.anilistServers,
+    () => findServers(chain, id, episodeNumber)
+  );
+  res.set('X-Provider', data.provider);
+  return data;
+};
 
-    return responseData;
+// Servers of an AniList episode from the first provider that has them
+async function findServers(chain, id, episodeNumber) {
+  // Resolve servers through the provider chain (hianime maps the AniList ID
+  // to its own ID first, aniplay takes it as is)
+  let result;
+  try {
+    result = await callProviders(
+      chain,
+      'serversByAnilistId',
+      Number(id),
+      Number(episodeNumber)
+    );
   } catch (error) {
-    console.error('Error in getEpisodeServersByAnilistId:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: `Internal server error: ${error.message}` 
-    });
-    return;
+    console.error(`Failed to get servers for AniList ID ${id}:`, error.message);
+    throw error;
   }
-};
+
+  return {
+    anilistId: Number(id),
+    hiAnimeId: result.data.hiAnimeId ?? null,
+    episodeNumber: Number(episodeNumber),
+    episodeId: result.data.episodeId ?? null,
+    provider: result.provider,
+    servers: result.data.servers
+  };
+}
 
 /**
  * Get streaming sources by AniList ID, episode number, and server
@@ -270,122 +246,51 @@ export const getEpisodeServersByAnilistId = async (req, res) => {
 export const getStreamingSourcesByAnilistId = async (req, res) => {
   const { id, episodeNumber } = req.params;
   const { server, type = 'sub' } = req.query;
+  assertNumber(id, 'AniList ID');
+  assertNumber(episodeNumber, 'episode number');
+  if (!server) {
+    throw new BadInputError('Server parameter is required');
+  }
   
-  try {
-    // Validate parameters
-    if (!id || isNaN(Number(id))) {
-      res.status(400).json({ 
-        success: false, 
-        message: `Invalid AniList ID: ${id}. Must be a number.` 
-      });
-      return;
-    }
-
-    if (!episodeNumber || isNaN(Number(episodeNumber))) {
-      res.status(400).json({ 
-        success: false, 
-        message: `Invalid episode number: ${episodeNumber}. Must be a number.` 
-      });
-      return;
-    }
-    
-    if (!server) {
-      res.status(400).json({ 
-        success: false, 
-        message: 'Server parameter is required' 
-      });
-      return;
-    }
-    
-    const cacheKey = `anilist_sources_${id}_${episodeNumber}_${server}_${type}`;
-
-    // Check cache first
-    const cachedData = await getCachedData(cacheKey);
-    if (cachedData && Object.keys(cachedData).length > 0) {
-      return cachedData;
-    }
+  const chain = resolveProviders(req.query.provider);
+  const data = await withCache(
+    `anilist_sources_${chainKey(chain)}_${id}_${episodeNumber}_${server}_${type}`,
+    CACHE_TTL.anilistSources,
+    () => findSources(chain, id, episodeNumber, server, type)
+  );
+  res.set('X-Provider', data.provider);
+  return data;
+};
 
-    // Get HiAnime ID from AniList ID
-    let hiAnimeId;
-    try {
-      hiAnimeId = await mapAnilistToHiAnimeId(id);
-    } catch (error) {
-      console.error(`Failed to map AniList ID ${id} to HiAnime ID:`, error);
-      res.status(404).json({ 
-        success: false, 
-        message: error.message || `Failed to map AniList ID ${id} to HiAnime ID` 
-      });
-      return;
-    }
-    
-    // Get episodes list
-    let episodesList;
-    try {
-      episodesList = await getEpisodesByHiAnimeId(hiAnimeId);
-    } catch (error) {
-      console.error(`Failed to get episodes for HiAnime ID ${hiAnimeId}:`, error);
-      res.status(404).json({ 
-        success: false, 
-        message: `Failed to get episodes for anime with AniList ID ${id}: ${error.message}` 
-      });
-      return;
-    }
-    
-    // Find the requested episode
-    const episode = episodesList.find(ep => ep.number === Number(episodeNumber));
-    
-    if (!episode) {
-      res.status(404).json({ 
-        success: false, 
-        message: `Episode ${episodeNumber} not found for anime with AniList ID ${id}` 
-      });
-      return;
-    }
-    
-    // Get streaming sources
-    let streamingInfo;
-    try {
-      streamingInfo = await extractStreamingInfo(episode.id, server, type);
-    } catch (error) {
-      console.error(`Failed to extract streaming info:`, error);
-      res.status(500).json({ 
-        success: false, 
-        message: `Failed to extract streaming sources: ${error.message}` 
-      });
-      return;
-    }
-    
-    if (!streamingInfo || !streamingInfo.streamingLink || streamingInfo.streamingLink.length === 0) {
-      res.status(404).json({ 
-        success: false, 
-        message: `No streaming sources found for episode ${episodeNumber} with server ${server} and type ${type}` 
-      });
-      return;
-    }
-    
-    const responseData = {
-      anilistId: Number(id),
-      hiAnimeId,
-      episodeNumber: Number(episodeNumber),
-      episodeId: episode.episodeId,
+// Sources of an AniList episode from the first provider that has them
+async function findSources(chain, id, episodeNumber, server, type) {
+  // Resolve sources through the provider chain
+  let result;
+  try {
+    result = await callProviders(
+      chain,
+      'sourcesByAnilistId',
+      Number(id),
+      Number(episodeNumber),
       server,
-      type,
-      sources: streamingInfo.streamingLink,
-      availableServers: streamingInfo.servers
-    };
-
-    // Cache the response
-    setCachedData(cacheKey, responseData, 1800).catch((err) => {
-      console.error("Failed to set cache:", err);
-    });
-
-    return responseData;
+      type
+    );
   } catch (error) {
-    console.error('Error in getStreamingSourcesByAnilistId:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: `Internal server error: ${error.message}` 
-    });
-    return;
+    console.error(`Failed to extract streaming info:`, error.message);
+    error.message = `Failed to extract streaming sources: ${error.message}`;
+    throw error;
   }
-}; 
+
+  return {
+    anilistId: Number(id),
+    hiAnimeId: result.data.hiAnimeId ?? null,
+    episodeNumber: Number(episodeNumber),
+    episodeId: result.data.episodeId ?? null,
+    server: result.data.streamingLink.server,
+    type,
+    provider: result.provider,
+    sources: result.data.streamingLink,
+    availableServers: result.data.servers
+  };
+}
+
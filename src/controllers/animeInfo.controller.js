@@ -1,27 +1,19 @@
-import extractAnimeInfo from "../extractors/animeInfo.extractor.js";
-import extractSeasons from "../extractors/seasons.extractor.js";
-import { getCachedData, setCachedData } from "../helper/cache.helper.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import {
+  resolveProviders,
+  callProviders,
+  chainKey,
+} from "../providers/providerRegistry.js";
 
 export const getAnimeInfo = async (req, res) => {
   const { id } = req.query;
-  // const cacheKey = `animeInfo_${id}`;
-
-  try {
-    // const cachedResponse = await getCachedData(cacheKey);
-    // if (cachedResponse && Object.keys(cachedResponse).length > 0) {
-    //   return cachedResponse;
-    // }
-    const [seasons, data] = await Promise.all([
-      extractSeasons(id),
-      extractAnimeInfo(id),
-    ]);
-    const responseData = { data: data, seasons: seasons };
-    // setCachedData(cacheKey, responseData).catch((err) => {
-    //   console.error("Failed to set cache:", err);
-    // });
-    return responseData;
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "An error occurred" });
-  }
+  const chain = resolveProviders(req.query.provider);
+  const { provider, data } = await withCache(
+    `animeInfo_${chainKey(chain)}_${id}`,
+    CACHE_TTL.info,
+    () => callProviders(chain, "info", id)
+  );
+  res.set("X-Provider", provider);
+  return data;
 };
@@ -1,20 +1,23 @@
 import extractCharacter from "../extractors/characters.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import { NotFoundError } from "../helper/errors.helper.js";
 
 const getCharacter = async (req, res) => {
   const id = req.params.id;
-  try {
-    const characterData = await extractCharacter(id);
+  const characterData = await withCache(
+    `character_${id}`,
+    CACHE_TTL.character,
+    () => extractCharacter(id),
+    { shouldCache: (data) => data?.results?.data?.length > 0 }
+  );
 
-    // Ensure the data is structured correctly
-    if (!characterData || characterData.results.data.length === 0) {
-      return res.status(404).json({ error: "Character not found." });
-    }
-
-    return res.json(characterData); // Return the desired structure
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "An error occurred" });
+  // Ensure the data is structured correctly
+  if (!characterData || characterData.results.data.length === 0) {
+    throw new NotFoundError("Character not found.");
   }
+
+  return res.json(characterData); // Return the desired structure
 };
 
-export default getCharacter; 
\ No newline at end of file
+export default getCharacter;
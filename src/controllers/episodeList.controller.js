@@ -1,21 +1,19 @@
-import extractEpisodesList from "../extractors/episodeList.extractor.js";
-import { getCachedData, setCachedData } from "../helper/cache.helper.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import {
+  resolveProviders,
+  callProviders,
+  chainKey,
+} from "../providers/providerRegistry.js";
 
 export const getEpisodes = async (req,res) => {
   const { id } = req.params;
-  // const cacheKey = `episodes_${id}`;
-  try {
-    // const cachedResponse = await getCachedData(cacheKey);
-    // if (cachedResponse && Object.keys(cachedResponse).length > 0) {
-    //   return cachedResponse;
-    // }
-    const data = await extractEpisodesList(encodeURIComponent(id));
-    // setCachedData(cacheKey, data).catch((err) => {
-    //   console.error("Failed to set cache:", err);
-    // });
-    return data;
-  } catch (e) {
-    console.error("Error fetching episodes:", e);
-    return e;
-  }
+  const chain = resolveProviders(req.query.provider);
+  const { provider, data } = await withCache(
+    `episodes_${chainKey(chain)}_${id}`,
+    CACHE_TTL.episodes,
+    () => callProviders(chain, "episodes", id)
+  );
+  res.set("X-Provider", provider);
+  return data;
 };
@@ -0,0 +1,55 @@
+import { listen, EVENT_TYPES } from "../helper/eventStream.helper.js";
+import { BadInputError } from "../helper/errors.helper.js";
+
+// Comment line sent regularly so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL = 25000;
+
+const list = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * GET /api/events?ids=&types=
+ * Server-Sent Events stream of new episodes of the anime in `ids`, schedule
+ * changes and recently-updated entries. Reconnecting clients get what they
+ * missed from the Last-Event-ID header (or ?lastEventId=).
+ */
+export const getEvents = async (req, res) => {
+  const ids = list(req.query.ids);
+  const types = list(req.query.types);
+  const unknown = types.filter((type) => !EVENT_TYPES.includes(type));
+  if (unknown.length) {
+    throw new BadInputError(
+      `Unknown event types: ${unknown.join(", ")}. Available: ${EVENT_TYPES.join(", ")}`
+    );
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // nginx would otherwise buffer the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 10000\n\n");
+
+  const stop = listen(
+    {
+      ids,
+      types,
+      lastEventId: req.get("Last-Event-ID") || req.query.lastEventId,
+    },
+    (event) => {
+      res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`
+      );
+    }
+  );
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    stop();
+  });
+};
@@ -0,0 +1,167 @@
+import { extractor } from "../extractors/category.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { FEED_FORMATS } from "../helper/feed.helper.js";
+import JsonFileStore from "../helper/stores/json.store.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import { FEED_STATE_FILE } from "../configs/feed.config.js";
+import { v1_base_url } from "../utils/base_v1.js";
+import {
+  resolveProviders,
+  callProviders,
+  chainKey,
+} from "../providers/providerRegistry.js";
+import { BadInputError, NotFoundError } from "../helper/errors.helper.js";
+
+// Categories served as feeds, and how each listed anime becomes an item
+export const FEED_CATEGORIES = {
+  "recently-updated": {
+    title: "Recently updated anime",
+    // one item per released sub and dub episode count, so a new episode of
+    // either is a new item
+    item: (anime) => {
+      const episode = Number(anime.tvInfo?.sub || anime.tvInfo?.eps) || null;
+      const dub = Number(anime.tvInfo?.dub) || null;
+      const guid = [
+        anime.id,
+        episode && `episode:${episode}`,
+        dub && `dub:${dub}`,
+      ].filter(Boolean);
+      const released = [
+        episode && `Episode ${episode}`,
+        dub && `Dub ${dub}`,
+      ].filter(Boolean);
+      return {
+        guid: guid.join(":"),
+        title: [anime.title, released.join(", ")].filter(Boolean).join(" - "),
+      };
+    },
+  },
+  "recently-added": {
+    title: "Recently added anime",
+    item: (anime) => ({ guid: anime.id, title: anime.title }),
+  },
+};
+
+// Newest episodes listed in a per-anime feed
+const EPISODE_ITEMS = 50;
+
+// Neither hianime list says when something appeared, so items are dated by
+// when this server first saw them. Oldest entries are dropped past the limit.
+// { firstSeen: { guid: ISO date } }, in the order they were seen
+const seen = new JsonFileStore(FEED_STATE_FILE, { firstSeen: {} });
+const FIRST_SEEN_LIMIT = 10000;
+
+async function seenAt(guids) {
+  const { firstSeen } = await seen.load();
+  const unseen = guids.filter((guid) => !firstSeen[guid]);
+  if (unseen.length) {
+    const now = new Date().toISOString();
+    unseen.forEach((guid) => {
+      firstSeen[guid] = now;
+    });
+    const all = Object.keys(firstSeen);
+    all
+      .slice(0, Math.max(0, all.length - FIRST_SEEN_LIMIT))
+      .forEach((guid) => delete firstSeen[guid]);
+    await seen.save();
+  }
+  return guids.map((guid) => new Date(firstSeen[guid]));
+}
+
+function feedFormat(query) {
+  const name = String(query.format || "rss").toLowerCase();
+  const format = FEED_FORMATS[name];
+  if (!format) {
+    throw new BadInputError(
+      `Invalid format: ${name}. Use one of ${Object.keys(FEED_FORMATS).join(", ")}`
+    );
+  }
+  return format;
+}
+
+async function sendFeed(req, res, format, feed) {
+  const dates = await seenAt(feed.items.map((item) => item.guid));
+  const items = feed.items.map((item, index) => ({ ...item, date: dates[index] }));
+  const updated = new Date(
+    Math.max(0, ...items.map((item) => item.date.getTime())) || Date.now()
+  );
+  res
+    .type(`${format.contentType}; charset=utf-8`)
+    .send(
+      format.write({
+        ...feed,
+        items,
+        updated,
+        selfUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+      })
+    );
+}
+
+/**
+ * GET /api/feed/:category?format=rss|atom
+ * Feed of the recently-updated or recently-added category's first page.
+ */
+export const getCategoryFeed = async (req, res) => {
+  const { category } = req.params;
+  const format = feedFormat(req.query);
+  const feedCategory = FEED_CATEGORIES[category];
+  if (!feedCategory) {
+    throw new NotFoundError(
+      `No feed for ${category}. Available: ${Object.keys(FEED_CATEGORIES).join(", ")}`
+    );
+  }
+  // same cache entry as the category route's first page
+  const { data } = await withCache(
+    `${category}_page_1`,
+    CACHE_TTL.category,
+    () => extractor(category, 1)
+  );
+  await sendFeed(req, res, format, {
+    title: feedCategory.title,
+    link: `https://${v1_base_url}/${category}`,
+    description: `${feedCategory.title} on ${v1_base_url}`,
+    items: data.map((anime) => ({
+      ...feedCategory.item(anime),
+      link: `https://${v1_base_url}/watch/${anime.id}`,
+      description: anime.description || anime.japanese_title,
+      image: anime.poster,
+    })),
+  });
+};
+
+/**
+ * GET /api/feed/episodes/:id?format=rss|atom
+ * Feed of an anime's episodes, newest first.
+ */
+export const getEpisodesFeed = async (req, res) => {
+  const { id } = req.params;
+  const format = feedFormat(req.query);
+  const chain = resolveProviders(req.query.provider);
+  // same cache entry as /api/episodes/:id
+  const { provider, data } = await withCache(
+    `episodes_${chainKey(chain)}_${id}`,
+    CACHE_TTL.episodes,
+    () => callProviders(chain, "episodes", id)
+  );
+  res.set("X-Provider", provider);
+  const episodes = [...(data.episodes || [])]
+    .sort((a, b) => b.episode_no - a.episode_no)
+    .slice(0, EPISODE_ITEMS);
+  await sendFeed(req, res, format, {
+    title: `${id} episodes`,
+    link: `https://${v1_base_url}/${id}`,
+    description: `New episodes of ${id}`,
+    items: episodes.map((episode) => ({
+      // episode ids ("one-piece-100?ep=2142") never change
+      guid: episode.id,
+      title: `Episode ${episode.episode_no}${episode.title ? `: ${episode.title}` : ""}`,
+      link: `https://${v1_base_url}/watch/${episode.id}`,
+      description: [
+        episode.japanese_title,
+        episode.filler ? "Filler" : null,
+      ]
+        .filter(Boolean)
+        .join(" - "),
+    })),
+  });
+};
@@ -1,4 +1,7 @@
 import extractFilterResults from "../extractors/filter.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import { ApiError, NotFoundError, toApiError } from "../helper/errors.helper.js";
 
 export const filter = async (req) => {
   try {
@@ -47,20 +50,24 @@ export const filter = async (req) => {
     // Log params for debugging
     // console.log("Controller params:", params);
 
-    const [totalPage, data, currentPage, hasNextPage] = await extractFilterResults(params);
+    const cacheKey = `filter_${new URLSearchParams(params).toString()}`;
+    const [totalPage, data, currentPage, hasNextPage] = await withCache(
+      cacheKey,
+      CACHE_TTL.filter,
+      () => extractFilterResults(params)
+    );
 
     if (pageNum > totalPage) {
-      const error = new Error("Requested page exceeds total available pages.");
-      error.status = 404;
-      throw error;
+      throw new NotFoundError("Requested page exceeds total available pages.");
     }
 
     return { data, totalPage, currentPage, hasNextPage };
   } catch (e) {
     console.error(e);
-    if (e.status === 404) {
-      throw e;
-    }
-    throw new Error("An error occurred while processing your request.");
+    throw toApiError(
+      e,
+      ApiError,
+      "An error occurred while processing your request."
+    );
   }
 };
@@ -0,0 +1,5 @@
+import { getExtractorHealth } from "../helper/extractorHealth.helper.js";
+
+export const getExtractors = async () => {
+  return getExtractorHealth();
+};
@@ -0,0 +1,53 @@
+import { mapMalToAnilistId } from '../utils/anilist.service.js';
+import {
+  getAnimeInfoByAnilistId,
+  getEpisodeServersByAnilistId,
+  getStreamingSourcesByAnilistId,
+} from './anilist.controller.js';
+import { BadInputError } from '../helper/errors.helper.js';
+
+/**
+ * Runs an AniList route handler for a MyAnimeList ID: the MAL ID is mapped
+ * to its AniList ID, so lookups, mappings and caching are shared with the
+ * AniList routes
+ * @param {Function} handler - AniList controller method
+ * @returns {Function} - Controller method taking a MAL ID as :id
+ */
+const withMalId = (handler) => async (req, res) => {
+  const { id } = req.params;
+
+  if (!id || isNaN(Number(id))) {
+    throw new BadInputError(`Invalid MAL ID: ${id}. Must be a number.`);
+  }
+
+  let anilistId;
+  try {
+    anilistId = await mapMalToAnilistId(id);
+  } catch (error) {
+    console.error(`Failed to map MAL ID ${id} to AniList ID:`, error.message);
+    throw error;
+  }
+
+  // same request, with the AniList ID in place of the MAL one
+  const anilistReq = Object.create(req, {
+    params: { value: { ...req.params, id: String(anilistId) } },
+  });
+  const data = await handler(anilistReq, res);
+  if (data === undefined || res.headersSent) return data;
+  return { malId: Number(id), ...data };
+};
+
+/**
+ * Get anime info by MyAnimeList ID
+ */
+export const getAnimeInfoByMalId = withMalId(getAnimeInfoByAnilistId);
+
+/**
+ * Get episode servers by MyAnimeList ID and episode number
+ */
+export const getEpisodeServersByMalId = withMalId(getEpisodeServersByAnilistId);
+
+/**
+ * Get streaming sources by MyAnimeList ID, episode number, and server
+ */
+export const getStreamingSourcesByMalId = withMalId(getStreamingSourcesByAnilistId);
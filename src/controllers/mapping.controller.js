@@ -0,0 +1,32 @@
+import {
+  getMapping as findMapping,
+  mapAnilistToHiAnimeId,
+  mapHiAnimeToAnilistId,
+  mapMalToAnilistId,
+} from "../utils/anilist.service.js";
+import { BadInputError, NotFoundError } from "../helper/errors.helper.js";
+
+/**
+ * GET /api/mapping?anilistId= | ?malId= | ?hiAnimeId=
+ * Looks an anime up by any of its ids, matching and storing it first when
+ * the store doesn't know it yet.
+ */
+export const getMapping = async (req) => {
+  const { anilistId, malId, hiAnimeId } = req.query;
+  if (anilistId) {
+    await mapAnilistToHiAnimeId(anilistId);
+    return findMapping("anilistId", anilistId);
+  }
+  if (hiAnimeId) {
+    await mapHiAnimeToAnilistId(hiAnimeId);
+    const mapping = await findMapping("hiAnimeId", hiAnimeId);
+    if (mapping) return mapping;
+    throw new NotFoundError(`No AniList ID known for ${hiAnimeId}`);
+  }
+  if (malId) {
+    const id = await mapMalToAnilistId(malId);
+    await mapAnilistToHiAnimeId(id);
+    return findMapping("anilistId", id);
+  }
+  throw new BadInputError("One of anilistId, malId or hiAnimeId is required");
+};
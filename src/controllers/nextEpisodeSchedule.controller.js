@@ -1,12 +1,54 @@
 import extractNextEpisodeSchedule from "../extractors/getNextEpisodeSchedule.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import { resolveProviders } from "../providers/providerRegistry.js";
+import {
+  fetchDaySchedule,
+  episodeEvent,
+  sendCalendar,
+} from "./schedule.controller.js";
+
+const fetchNextEpisodeSchedule = (id) =>
+  withCache(
+    `nextEpisodeSchedule_${id}`,
+    CACHE_TTL.nextEpisodeSchedule,
+    async () => {
+      const nextEpisodeSchedule = await extractNextEpisodeSchedule(id);
+      return { nextEpisodeSchedule: nextEpisodeSchedule };
+    }
+  );
 
 export const getNextEpisodeSchedule = async (req) => {
   const { id } = req.params;
-  try {
-    const nextEpisodeSchedule = await extractNextEpisodeSchedule(id);
-    return { nextEpisodeSchedule: nextEpisodeSchedule };
-  } catch (e) {
-    console.error(e);
-    return e;
+  return await fetchNextEpisodeSchedule(id);
+};
+
+/**
+ * GET /api/schedule/:id.ics
+ * iCalendar feed with the anime's next episode. The watch page only gives
+ * its time (UTC), so title and episode number come from that day's schedule.
+ */
+export const getNextEpisodeScheduleIcs = async (req, res) => {
+  const { id } = req.params;
+  const chain = resolveProviders(req.query.provider);
+  const { nextEpisodeSchedule } = await fetchNextEpisodeSchedule(id);
+  const airingAt = nextEpisodeSchedule
+    ? new Date(`${nextEpisodeSchedule.replace(" ", "T")}Z`)
+    : null;
+
+  let entry = null;
+  if (airingAt && !isNaN(airingAt)) {
+    const date = airingAt.toISOString().slice(0, 10);
+    const { data } = await fetchDaySchedule(chain, date, 0).catch(() => ({
+      data: [],
+    }));
+    entry = data.find((item) => item.id === id) || {
+      id,
+      title: id.replace(/-\d+$/, "").replace(/-/g, " "),
+    };
+    entry = { ...entry, airingAt: airingAt.toISOString() };
   }
+
+  const name = entry?.title || id;
+  sendCalendar(res, name, entry ? [episodeEvent(entry)] : []);
 };
@@ -0,0 +1,16 @@
+import { listProviders } from "../providers/providerRegistry.js";
+import { DEFAULT_PROVIDERS } from "../configs/provider.config.js";
+import { getMirrorHealth } from "../helper/mirror.helper.js";
+import { getDecryptorStats } from "../parsers/decryptors/chain.decryptor.js";
+
+export const getProviders = async () => {
+  return { default: DEFAULT_PROVIDERS, providers: listProviders() };
+};
+
+export const getMirrors = async () => {
+  return getMirrorHealth();
+};
+
+export const getDecryptors = async () => {
+  return getDecryptorStats();
+};
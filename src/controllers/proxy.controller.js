@@ -0,0 +1,94 @@
+import { rewritePlaylist, isPlaylist } from "../helper/m3u8.helper.js";
+import {
+  proxyTarget,
+  proxyGet,
+  upstreamHeaders,
+} from "../helper/proxy.helper.js";
+import { ParseError } from "../helper/errors.helper.js";
+
+const RELAYED_HEADERS = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "cache-control",
+  "last-modified",
+  "etag",
+];
+
+const SEGMENT_TYPES = {
+  ts: "video/mp2t",
+  m4s: "video/iso.segment",
+  mp4: "video/mp4",
+};
+
+// Url of the proxy route for an upstream url, keeping the caller's headers
+function proxyUrl(query) {
+  return (url, playlist) => {
+    const params = new URLSearchParams({ url });
+    if (query.referer) params.set("referer", query.referer);
+    if (query.origin) params.set("origin", query.origin);
+    return `/api/proxy/${playlist ? "m3u8" : "segment"}?${params}`;
+  };
+}
+
+/**
+ * GET /api/proxy/m3u8?url=&referer=&origin=
+ * Fetches a master or media playlist and points all of its URIs back at the
+ * proxy.
+ */
+export const getM3u8 = async (req, res) => {
+  const url = proxyTarget(req.query);
+  const { response, url: finalUrl } = await proxyGet(url, {
+    headers: upstreamHeaders(req.query),
+    responseType: "text",
+  });
+  if (!isPlaylist(response.headers["content-type"], response.data)) {
+    throw new ParseError("Upstream did not return an m3u8 playlist");
+  }
+  res.set("Content-Type", "application/vnd.apple.mpegurl");
+  res.set("Cache-Control", "no-cache");
+  return res.send(
+    // redirects change the base relative URIs resolve against
+    rewritePlaylist(response.data, finalUrl.toString(), proxyUrl(req.query))
+  );
+};
+
+/**
+ * GET /api/proxy/segment?url=&referer=&origin=
+ * Streams a segment, key or init section, forwarding Range requests.
+ */
+export const getSegment = async (req, res) => {
+  const url = proxyTarget(req.query);
+  const headers = upstreamHeaders(req.query);
+  if (req.headers.range) headers.Range = req.headers.range;
+  const { response } = await proxyGet(url, {
+    headers,
+    responseType: "stream",
+    // a failed Range request comes back as 416 and is relayed as is
+    validateStatus: (status) => status < 400 || status === 416,
+  });
+  res.status(response.status);
+  for (const name of RELAYED_HEADERS) {
+    if (response.headers[name]) res.set(name, response.headers[name]);
+  }
+  if (!response.headers["content-type"]) {
+    const extension = url.pathname.split(".").pop().toLowerCase();
+    res.set(
+      "Content-Type",
+      SEGMENT_TYPES[extension] || "application/octet-stream"
+    );
+  }
+  res.set(
+    "Access-Control-Expose-Headers",
+    "Content-Length, Content-Range, Accept-Ranges"
+  );
+  req.on("close", () => response.data.destroy());
+  // the status line is out once piping starts, all that's left is to cut
+  // the response short
+  response.data.on("error", (error) => {
+    console.error("Proxy stream failed:", error.message);
+    res.destroy();
+  });
+  response.data.pipe(res);
+};
@@ -1,12 +1,10 @@
 import extractQtip from "../extractors/qtip.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
 
 export const getQtip = async (req) => {
-  try {
-    const { id } = req.params;
-    const data = await extractQtip(id);
-    return data;
-  } catch (e) {
-    console.error(e);
-    return e;
-  }
+  const { id } = req.params;
+  return await withCache(`qtip_${id}`, CACHE_TTL.qtip, () => extractQtip(id), {
+    shouldCache: (data) => Boolean(data?.title),
+  });
 };
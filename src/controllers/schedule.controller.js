@@ -1,12 +1,140 @@
-import extractSchedule from "../extractors/schedule.extractor.js";
-
-export const getSchedule = async (req) => {
-  const date = req.query.date;
-  try {
-    const data = await extractSchedule(encodeURIComponent(date));
-    return data;
-  } catch (e) {
-    console.error(e);
-    return e;
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import {
+  SCHEDULE_TIMEZONE,
+  SCHEDULE_MAX_DAYS,
+} from "../configs/schedule.config.js";
+import {
+  parseTimezone,
+  zoneDate,
+  dayOffset,
+  isValidDate,
+  addDays,
+} from "../helper/timezone.helper.js";
+import { toICalendar } from "../helper/ical.helper.js";
+import { v1_base_url } from "../utils/base_v1.js";
+import {
+  resolveProviders,
+  callProviders,
+  chainKey,
+} from "../providers/providerRegistry.js";
+import { BadInputError } from "../helper/errors.helper.js";
+
+// Length given to calendar events, the schedule only knows when they start
+const EPISODE_MINUTES = 24;
+
+// ?date=, or ?from= and ?to= (inclusive), defaulting to `length` days from
+// today in the zone
+function requestedDays(query, zone, length = 1) {
+  const from = query.from || query.date || zoneDate(zone);
+  const to =
+    query.to || (query.from || query.date ? from : addDays(from, length - 1));
+  const fromName = query.from ? "from" : "date";
+  for (const [name, value] of [[fromName, from], ["to", to]]) {
+    if (!isValidDate(value)) {
+      throw new BadInputError(`Invalid ${name} date: ${value}. Expected YYYY-MM-DD`);
+    }
+  }
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (days.length === SCHEDULE_MAX_DAYS) {
+      throw new BadInputError(`Date range too long, at most ${SCHEDULE_MAX_DAYS} days`);
+    }
+    days.push(date);
   }
+  if (days.length === 0) throw new BadInputError(`from (${from}) is after to (${to})`);
+  return days;
+}
+
+// ?ids=one-piece-100,naruto-677 keeps only those anime
+function filterIds(items, ids) {
+  if (!ids) return items;
+  const wanted = new Set(String(ids).split(",").map((id) => id.trim()));
+  return items.filter((item) => wanted.has(item.id));
+}
+
+/**
+ * Releases of one local day, cached per provider chain and UTC offset.
+ * @param {Array<object>} chain - Providers from resolveProviders()
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} offset - Minutes east of UTC
+ * @returns {Promise<{ provider: string, data: Array<object> }>}
+ */
+export function fetchDaySchedule(chain, date, offset) {
+  return withCache(
+    `schedule_${chainKey(chain)}_${date}_${offset}`,
+    CACHE_TTL.schedule,
+    () => callProviders(chain, "schedule", encodeURIComponent(date), offset),
+    { shouldCache: (result) => result.data.length > 0 }
+  );
+}
+
+// Validates the query up front, before anything is fetched
+function scheduleRequest(query, length) {
+  const zone = parseTimezone(query.timezone || SCHEDULE_TIMEZONE);
+  return {
+    zone,
+    days: requestedDays(query, zone, length),
+    chain: resolveProviders(query.provider),
+    ids: query.ids,
+  };
+}
+
+async function fetchSchedule(res, { zone, days, chain, ids }) {
+  const perDay = await Promise.all(
+    days.map((date) => fetchDaySchedule(chain, date, dayOffset(zone, date)))
+  );
+  res.set(
+    "X-Provider",
+    [...new Set(perDay.map(({ provider }) => provider))].join(",")
+  );
+  return filterIds(
+    perDay.flatMap(({ data }) => data),
+    ids
+  );
+}
+
+/**
+ * Calendar event of a schedule entry, null when it has no usable time.
+ * The UID only depends on the anime and episode, so calendar apps update
+ * the event when a release moves.
+ */
+export function episodeEvent(item) {
+  const start = new Date(item.airingAt);
+  if (!item.airingAt || isNaN(start)) return null;
+  const episode = item.episode_no ? ` - Episode ${item.episode_no}` : "";
+  const url = `https://${v1_base_url}/watch/${item.id}`;
+  return {
+    uid: `${item.id}-${item.episode_no || start.getTime()}@anime-api`,
+    start,
+    end: new Date(start.getTime() + EPISODE_MINUTES * 60000),
+    summary: `${item.title}${episode}`,
+    description: [item.japanese_title, url].filter(Boolean).join("\n"),
+    url,
+  };
+}
+
+export function sendCalendar(res, name, events) {
+  res
+    .type("text/calendar; charset=utf-8")
+    .set("Content-Disposition", `inline; filename="${name.replace(/[^\w.-]+/g, "-")}.ics"`)
+    .send(toICalendar({ name, events: events.filter(Boolean) }));
+}
+
+/**
+ * GET /api/schedule?date= | ?from=&to= [&timezone=&ids=]
+ * Releases of each local day of the range, oldest first, with `airingAt` as
+ * an ISO-8601 timestamp in the requested timezone.
+ */
+export const getSchedule = async (req, res) => {
+  return await fetchSchedule(res, scheduleRequest(req.query, 1));
+};
+
+/**
+ * GET /api/schedule.ics, same parameters as /api/schedule
+ * iCalendar feed of the releases, the coming week unless a date is given.
+ */
+export const getScheduleIcs = async (req, res) => {
+  const items = await fetchSchedule(res, scheduleRequest(req.query, 7));
+  sendCalendar(res, "Anime airing schedule", items.map(episodeEvent));
 };
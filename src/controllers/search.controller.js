@@ -1,39 +1,51 @@
-import extractSearchResults from "../extractors/search.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import { ApiError, NotFoundError, toApiError } from "../helper/errors.helper.js";
+import {
+  resolveProviders,
+  callProviders,
+  chainKey,
+} from "../providers/providerRegistry.js";
 
-export const search = async (req) => {
+export const search = async (req, res) => {
   try {
     let { keyword, type, status, rated, score, season, language, genres, sort, sy, sm, sd, ey, em, ed } = req.query;
     let page = parseInt(req.query.page) || 1;
+    const chain = resolveProviders(req.query.provider);
+    const cacheKey = `search_${chainKey(chain)}_${new URLSearchParams({ ...req.query, page }).toString()}`;
 
-    const [totalPage, data] = await extractSearchResults({
-      keyword: keyword, 
-      type: type,
-      status: status,
-      rated: rated,
-      score: score,
-      season: season,
-      language: language,
-      genres: genres,
-      sort: sort,
-      page: page,
-      sy: sy,
-      sm: sm,
-      sd: sd,
-      ey: ey,
-      em: em,
-      ed: ed,
-    });
+    const { provider, data: result } = await withCache(cacheKey, CACHE_TTL.search, () =>
+      callProviders(chain, "search", {
+        keyword: keyword,
+        type: type,
+        status: status,
+        rated: rated,
+        score: score,
+        season: season,
+        language: language,
+        genres: genres,
+        sort: sort,
+        page: page,
+        sy: sy,
+        sm: sm,
+        sd: sd,
+        ey: ey,
+        em: em,
+        ed: ed,
+      })
+    );
+    const { data, totalPage } = result;
+    res.set("X-Provider", provider);
     if (page > totalPage) {
-      const error = new Error("Requested page exceeds total available pages.");
-      error.status = 404;
-      throw error;
+      throw new NotFoundError("Requested page exceeds total available pages.");
     }
     return { data, totalPage };
   } catch (e) {
     console.error(e);
-    if (e.status === 404) {
-      throw e;
-    }
-    throw new Error("An error occurred while processing your request.");
+    throw toApiError(
+      e,
+      ApiError,
+      "An error occurred while processing your request."
+    );
   }
 };
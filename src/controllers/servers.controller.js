@@ -1,12 +1,20 @@
-import { extractServers } from "../extractors/streamInfo.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import {
+  resolveProviders,
+  callProviders,
+  chainKey,
+} from "../providers/providerRegistry.js";
 
-export const getServers = async (req) => {
-  try {
-    const { ep } = req.query;
-    const servers = await extractServers(ep);
-    return servers;
-  } catch (e) {
-    console.error(e);
-    return e;
-  }
+export const getServers = async (req, res) => {
+  const { ep } = req.query;
+  const chain = resolveProviders(req.query.provider);
+  const { provider, data } = await withCache(
+    `servers_${chainKey(chain)}_${ep}`,
+    CACHE_TTL.servers,
+    () => callProviders(chain, "servers", ep),
+    { shouldCache: (result) => result.data.length > 0 }
+  );
+  res.set("X-Provider", provider);
+  return data;
 };
@@ -1,17 +1,28 @@
-import { extractStreamingInfo } from "../extractors/streamInfo.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import {
+  resolveProviders,
+  callProviders,
+  chainKey,
+} from "../providers/providerRegistry.js";
+import { BadInputError } from "../helper/errors.helper.js";
 
-export const getStreamInfo = async (req) => {
-  try {
-    const input = req.query.id;
-    const server = req.query.server;
-    const type = req.query.type;
-    const match = input.match(/ep=(\d+)/);
-    if (!match) throw new Error("Invalid URL format");
-    const finalId = match[1];
-    const streamingInfo = await extractStreamingInfo(finalId, server, type);
-    return streamingInfo;
-  } catch (e) {
-    console.error(e);
-    return e;
-  }
+export const getStreamInfo = async (req, res) => {
+  const input = req.query.id;
+  const server = req.query.server;
+  const type = req.query.type;
+  const match = input?.match(/ep=(\d+)/);
+  if (!match) throw new BadInputError("Invalid URL format");
+  const finalId = match[1];
+  const chain = resolveProviders(req.query.provider);
+  const { provider, data } = await withCache(
+    `stream_${chainKey(chain)}_${finalId}_${server}_${type}`,
+    CACHE_TTL.stream,
+    () =>
+      callProviders(chain, "sources", finalId, server, type, {
+        animeId: input.split("?")[0],
+      })
+  );
+  res.set("X-Provider", provider);
+  return data;
 };
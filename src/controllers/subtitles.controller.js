@@ -0,0 +1,58 @@
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
+import {
+  proxyTarget,
+  proxyGet,
+  upstreamHeaders,
+} from "../helper/proxy.helper.js";
+import {
+  parseSubtitles,
+  shiftCues,
+  SUBTITLE_FORMATS,
+} from "../helper/subtitle.helper.js";
+import { BadInputError, ParseError } from "../helper/errors.helper.js";
+
+/**
+ * GET /api/subtitles?url=&format=vtt|srt|ass&offset=&referer=
+ * Fetches a subtitle track, optionally shifts it by `offset` seconds and
+ * returns it in the requested format, readable from any origin.
+ */
+export const getSubtitles = async (req, res) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  const url = proxyTarget(req.query);
+  const format = String(req.query.format || "vtt").toLowerCase();
+  if (!SUBTITLE_FORMATS[format]) {
+    const available = Object.keys(SUBTITLE_FORMATS).join(", ");
+    throw new BadInputError(`Unknown format "${format}". Available: ${available}`);
+  }
+  const offset = Number(req.query.offset || 0);
+  if (!Number.isFinite(offset)) {
+    throw new BadInputError("offset must be a number of seconds");
+  }
+
+  const source = await withCache(
+    `subtitles_${url}`,
+    CACHE_TTL.subtitles,
+    async () => {
+      const { response } = await proxyGet(url, {
+        headers: upstreamHeaders(req.query),
+        responseType: "text",
+      });
+      return response.data;
+    },
+    { shouldCache: (data) => typeof data === "string" && data.length > 0 }
+  );
+  const cues = shiftCues(parseSubtitles(source), Math.round(offset * 1000));
+  if (!cues.length) throw new ParseError("No cues found in the subtitle file");
+
+  const { write, contentType } = SUBTITLE_FORMATS[format];
+  const name =
+    url.pathname
+      .split("/")
+      .pop()
+      .replace(/\.\w+$/, "")
+      .replace(/[^\w.-]/g, "_") || "subtitles";
+  res.set("Content-Type", `${contentType}; charset=utf-8`);
+  res.set("Content-Disposition", `inline; filename="${name}.${format}"`);
+  return res.send(write(cues));
+};
@@ -1,12 +1,10 @@
 import getSuggestion from "../extractors/suggestion.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
 
 export const getSuggestions = async (req) => {
   const { keyword } = req.query;
-  try {
-    const data = await getSuggestion(encodeURIComponent(keyword));
-    return data;
-  } catch (e) {
-    console.error(e);
-    return e;
-  }
+  return await withCache(`suggestion_${keyword}`, CACHE_TTL.suggestion, () =>
+    getSuggestion(encodeURIComponent(keyword))
+  );
 };
@@ -1,13 +1,9 @@
 import extractTopSearch from "../extractors/topsearch.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
 
 const getTopSearch = async () => {
-  try {
-    const data = await extractTopSearch();
-    return data;
-  } catch (e) {
-    console.error(e);
-    return e;
-  }
+  return await withCache("topSearch", CACHE_TTL.topSearch, extractTopSearch);
 };
 
 export default getTopSearch;
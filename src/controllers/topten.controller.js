@@ -1,22 +1,7 @@
 import extractTopTen from "../extractors/topten.extractor.js";
-import { getCachedData, setCachedData } from "../helper/cache.helper.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
 
 export const getTopTen = async (req,res) => {
-  // const cacheKey = "topTen";
-  try {
-    // const cachedResponse = await getCachedData(cacheKey);
-    // if (cachedResponse && Object.keys(cachedResponse).length > 0) {
-    //   return cachedResponse;
-    // }
-    const topTen = await extractTopTen();
-    // await setCachedData(cacheKey, topTen).catch((err) => {
-    //   console.error("Failed to set cache:", err);
-    // });
-    return topTen;
-  } catch (e) {
-    console.error(e);
-    return c
-      .status(500)
-      .json({ success: false, error: "Internal Server Error" });
-  }
+  return await withCache("topTen", CACHE_TTL.topTen, extractTopTen);
 };
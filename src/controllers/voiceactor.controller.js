@@ -1,16 +1,17 @@
 import extractVoiceActor from "../extractors/voiceactor.extractor.js";
+import { withCache } from "../helper/cache.helper.js";
+import { CACHE_TTL } from "../configs/cache.config.js";
 
 export const getVoiceActors = async (req, res) => {
   const requestedPage = parseInt(req.query.page) || 1;
   const id = req.params.id;
-  try {
-    const { totalPages, charactersVoiceActors: data } = await extractVoiceActor(
-      id,
-      requestedPage
-    );
-    return { currentPage: requestedPage, totalPages, data };
-  } catch (e) {
-    console.error(e);
-    return e;
-  }
+  return await withCache(
+    `voiceActors_${id}_page_${requestedPage}`,
+    CACHE_TTL.voiceActors,
+    async () => {
+      const { totalPages, charactersVoiceActors: data } =
+        await extractVoiceActor(id, requestedPage);
+      return { currentPage: requestedPage, totalPages, data };
+    }
+  );
 };
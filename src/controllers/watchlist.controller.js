@@ -1,4 +1,5 @@
 import extractWatchlist from "../extractors/watchlist.extractor.js";
+import { ApiError, toApiError } from "../helper/errors.helper.js";
 
 export const getWatchlist = async (req, res) => {
   const { userId, page = 1 } = req.params;
@@ -32,9 +33,10 @@ export const getWatchlist = async (req, res) => {
     });
   } catch (error) {
     console.error("Error getting watchlist:", error.message);
-    
-    if (!res.headersSent) {
-      return res.status(500).json({ error: "An error occurred while fetching the watchlist." });
-    }
+    throw toApiError(
+      error,
+      ApiError,
+      "An error occurred while fetching the watchlist."
+    );
   }
-}; 
\ No newline at end of file
+};
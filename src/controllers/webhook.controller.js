@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import { webhooks } from "../helper/webhook.helper.js";
+import { isPrivateHost } from "../helper/proxy.helper.js";
+import {
+  WEBHOOK_MAX_ANIME,
+  WEBHOOK_TOKEN,
+} from "../configs/webhook.config.js";
+import {
+  BadInputError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../helper/errors.helper.js";
+
+const LANGUAGES = ["sub", "dub", "both"];
+
+// Only holders of WEBHOOK_TOKEN see or change where the server sends requests
+function requireToken(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  const expected = Buffer.from(WEBHOOK_TOKEN ?? "");
+  const given = Buffer.from(token ?? "");
+  const valid =
+    WEBHOOK_TOKEN !== null &&
+    scheme === "Bearer" &&
+    given.length === expected.length &&
+    crypto.timingSafeEqual(given, expected);
+  if (!valid) {
+    throw new UnauthorizedError(
+      WEBHOOK_TOKEN === null
+        ? "Webhooks can't be managed, WEBHOOK_TOKEN isn't set"
+        : "Authorization must be Bearer <WEBHOOK_TOKEN>"
+    );
+  }
+}
+
+function webhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new BadInputError("url must be an absolute http(s) URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new BadInputError("url must be an absolute http(s) URL");
+  }
+  if (isPrivateHost(url.hostname.toLowerCase())) {
+    throw new BadInputError("url must point to a public host");
+  }
+  return url.toString();
+}
+
+function animeIds(value) {
+  const ids = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const cleaned = [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+  if (cleaned.length === 0) throw new BadInputError("animeIds must list at least one anime ID");
+  if (cleaned.length > WEBHOOK_MAX_ANIME) {
+    throw new BadInputError(`animeIds may list at most ${WEBHOOK_MAX_ANIME} anime`);
+  }
+  return cleaned;
+}
+
+// Everything but the secret, which is only shown once on creation
+const publicView = ({ secret, ...subscription }) => subscription;
+
+async function findSubscription(id) {
+  const { subscriptions } = await webhooks.load();
+  const subscription = subscriptions.find((item) => item.id === id);
+  if (!subscription) throw new NotFoundError(`No webhook ${id}`);
+  return subscription;
+}
+
+/**
+ * POST /api/webhooks { url, animeIds, language }
+ * Registers a webhook, with Authorization: Bearer <WEBHOOK_TOKEN>. The
+ * response holds the secret payloads are signed with, it isn't shown again.
+ */
+export const createWebhook = async (req) => {
+  requireToken(req);
+  const { url, language = "sub" } = req.body || {};
+  if (!LANGUAGES.includes(language)) {
+    throw new BadInputError(`language must be one of ${LANGUAGES.join(", ")}`);
+  }
+  const subscription = {
+    id: crypto.randomUUID(),
+    url: webhookUrl(url),
+    animeIds: animeIds(req.body?.animeIds),
+    language,
+    secret: crypto.randomBytes(32).toString("hex"),
+    createdAt: new Date().toISOString(),
+    lastDelivery: null,
+  };
+  const { subscriptions } = await webhooks.load();
+  subscriptions.push(subscription);
+  await webhooks.save();
+  return subscription;
+};
+
+/**
+ * GET /api/webhooks/:id
+ * With Authorization: Bearer <WEBHOOK_TOKEN>
+ */
+export const getWebhook = async (req) => {
+  requireToken(req);
+  return publicView(await findSubscription(req.params.id));
+};
+
+/**
+ * PATCH /api/webhooks/:id { url?, animeIds?, language? }
+ * With Authorization: Bearer <WEBHOOK_TOKEN>
+ */
+export const updateWebhook = async (req) => {
+  requireToken(req);
+  const subscription = await findSubscription(req.params.id);
+  const { url, animeIds: ids, language } = req.body || {};
+  if (language !== undefined && !LANGUAGES.includes(language)) {
+    throw new BadInputError(`language must be one of ${LANGUAGES.join(", ")}`);
+  }
+  if (url !== undefined) subscription.url = webhookUrl(url);
+  if (ids !== undefined) subscription.animeIds = animeIds(ids);
+  if (language !== undefined) subscription.language = language;
+  await webhooks.save();
+  return publicView(subscription);
+};
+
+/**
+ * DELETE /api/webhooks/:id
+ * With Authorization: Bearer <WEBHOOK_TOKEN>
+ */
+export const deleteWebhook = async (req) => {
+  requireToken(req);
+  await findSubscription(req.params.id);
+  const data = await webhooks.load();
+  data.subscriptions = data.subscriptions.filter(
+    (item) => item.id !== req.params.id
+  );
+  await webhooks.save();
+  return { id: req.params.id, deleted: true };
+};
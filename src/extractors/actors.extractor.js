@@ -1,10 +1,13 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = ["results.data[].name", "results.data[].profile"];
 
 export async function extractVoiceActor(id) {
   try {
-    const response = await axios.get(`https://${v1_base_url}/people/${id}`);
+    const response = await httpGet(`https://${v1_base_url}/people/${id}`);
     const $ = cheerio.load(response.data);
 
     // Extract basic information
@@ -84,7 +87,11 @@ export async function extractVoiceActor(id) {
     return voiceActorData;
   } catch (error) {
     console.error("Error extracting voice actor data:", error);
-    throw new Error("Failed to extract voice actor information");
+    throw toApiError(
+      error,
+      ParseError,
+      "Failed to extract voice actor information"
+    );
   }
 }
 
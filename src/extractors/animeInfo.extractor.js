@@ -1,15 +1,28 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import formatTitle from "../helper/formatTitle.helper.js";
 import { v1_base_url } from "../utils/base_v1.js";
 import extractRecommendedData from "./recommend.extractor.js";
 import extractRelatedData from "./related.extractor.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = [
+  "title",
+  "poster",
+  "showType",
+  "animeInfo.Overview",
+  "animeInfo.Genres",
+  "animeInfo.Status",
+  "animeInfo.tvInfo.showType",
+  "recommended_data[].id",
+  "recommended_data[].title",
+];
 
 async function extractAnimeInfo(id) {
   try {
     const [resp, characterData] = await Promise.all([
-      axios.get(`https://${v1_base_url}/${id}`),
-      axios.get(
+      httpGet(`https://${v1_base_url}/${id}`),
+      httpGet(
         `https://${v1_base_url}/ajax/character/list/${id.split("-").pop()}`
       ),
     ]);
@@ -185,6 +198,7 @@ async function extractAnimeInfo(id) {
     };
   } catch (e) {
     console.error("Error extracting anime info:", e);
+    throw toApiError(e, ParseError);
   }
 }
 
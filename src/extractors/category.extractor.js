@@ -1,4 +1,12 @@
 import extractPage from "../helper/extractPages.helper.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = [
+  "data[].id",
+  "data[].title",
+  "data[].poster",
+  "data[].tvInfo.showType",
+];
 
 export async function extractor(path, page) {
   try {
@@ -9,6 +17,6 @@ export async function extractor(path, page) {
       `Error extracting data for ${path} from page ${page}:`,
       error.message
     );
-    throw error;
+    throw toApiError(error, ParseError);
   }
 }
@@ -1,10 +1,13 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = ["results.data[].name", "results.data[].profile"];
 
 export async function extractCharacter(id) {
   try {
-    const response = await axios.get(`https://${v1_base_url}//character/${id}`);
+    const response = await httpGet(`https://${v1_base_url}//character/${id}`);
     const $ = cheerio.load(response.data);
 
     // Extract basic information
@@ -80,7 +83,7 @@ export async function extractCharacter(id) {
     return characterData;
   } catch (error) {
     console.error("Error extracting character data:", error);
-    throw new Error("Failed to extract character information");
+    throw toApiError(error, ParseError, "Failed to extract character information");
   }
 }
 
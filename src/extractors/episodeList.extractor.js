@@ -1,11 +1,18 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = [
+  "episodes[].id",
+  "episodes[].episode_no",
+  "episodes[].title",
+];
 
 async function extractEpisodesList(id) {
   try {
     const showId = id.split("-").pop();
-    const response = await axios.get(
+    const response = await httpGet(
       `https://${v1_base_url}/ajax/v2/episode/list/${showId}`,
       {
         headers: {
@@ -14,26 +21,33 @@ async function extractEpisodesList(id) {
         },
       }
     );
-    if (!response.data.html) return [];
-    const $ = cheerio.load(response.data.html);
-    const res = {
-      totalEpisodes: 0,
-      episodes: [],
-    };
-    res.totalEpisodes = Number($(".detail-infor-content .ss-list a").length);
-    $(".detail-infor-content .ss-list a").each((_, el) => {
-      res.episodes.push({
-        episode_no: Number($(el).attr("data-number")),
-        id: $(el)?.attr("href")?.split("/")?.pop() || null,
-        title: $(el)?.attr("title")?.trim() || null,
-        japanese_title: $(el).find(".ep-name").attr("data-jname"),
-        filler: $(el).hasClass("ssl-item-filler"),
-      });
-    });
-    return res;
+    if (typeof response.data?.html !== "string") {
+      throw new ParseError(`No episode list html for ${id}`);
+    }
+    return parseEpisodesList(response.data.html);
   } catch (error) {
     console.error(error);
-    return [];
+    throw toApiError(error, ParseError);
   }
 }
+
+export function parseEpisodesList(html) {
+  const $ = cheerio.load(html);
+  const res = {
+    totalEpisodes: 0,
+    episodes: [],
+  };
+  res.totalEpisodes = Number($(".detail-infor-content .ss-list a").length);
+  $(".detail-infor-content .ss-list a").each((_, el) => {
+    res.episodes.push({
+      episode_no: Number($(el).attr("data-number")),
+      id: $(el)?.attr("href")?.split("/")?.pop() || null,
+      title: $(el)?.attr("title")?.trim() || null,
+      japanese_title: $(el).find(".ep-name").attr("data-jname"),
+      filler: $(el).hasClass("ssl-item-filler"),
+    });
+  });
+  return res;
+}
+
 export default extractEpisodesList;
@@ -1,6 +1,5 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
-import { DEFAULT_HEADERS } from "../configs/header.config.js";
 import { v1_base_url } from "../utils/base_v1.js";
 import {
   FILTER_LANGUAGE_MAP,
@@ -12,6 +11,10 @@ import {
   FILTER_SEASON,
   FILTER_SORT,
 } from "../routes/filter.maping.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+// results are [totalPage, anime, page, hasNextPage]
+export const requiredFields = ["1[].id", "1[].title", "1[].poster"];
 
 async function extractFilterResults(params = {}) {
   try {
@@ -84,13 +87,12 @@ async function extractFilterResults(params = {}) {
       apiUrl = `https://${v1_base_url}/search?${queryParams}`;
     }
 
-    const resp = await axios.get(apiUrl, {
+    const resp = await httpGet(apiUrl, {
       headers: {
         Accept:
           "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
 
         "Accept-Encoding": "gzip, deflate, br",
-        "User-Agent": DEFAULT_HEADERS,
       },
     });
 
@@ -167,7 +169,7 @@ async function extractFilterResults(params = {}) {
     ];
   } catch (e) {
     console.error("Error fetching data:", e);
-    throw e;
+    throw toApiError(e, ParseError);
   }
 }
 
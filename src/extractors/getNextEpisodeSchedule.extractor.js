@@ -1,10 +1,11 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
 
 export default async function extractNextEpisodeSchedule(id) {
   try {
-    const { data } = await axios.get(`https://${v1_base_url}/watch/${id}`);
+    const { data } = await httpGet(`https://${v1_base_url}/watch/${id}`);
     const $ = cheerio.load(data);
     const nextEpisodeSchedule = $(
       ".schedule-alert > .alert.small > span:last"
@@ -12,5 +13,6 @@ export default async function extractNextEpisodeSchedule(id) {
     return nextEpisodeSchedule;
   } catch (error) {
     console.error(error);
+    throw toApiError(error, ParseError);
   }
 }
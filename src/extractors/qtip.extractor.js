@@ -1,10 +1,13 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = ["title", "description", "type", "watchLink"];
 
 export default async function extractQtip(id) {
   try {
-    const { data } = await axios.get(
+    const { data } = await httpGet(
       `https://${v1_base_url}/ajax/movie/qtip/${id}`,
       {
         headers: {
@@ -59,6 +62,6 @@ export default async function extractQtip(id) {
     return extractedData;
   } catch (error) {
     console.error("Error extracting data:", error);
-    return error;
+    throw toApiError(error, ParseError);
   }
 }
@@ -1,11 +1,17 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { formatOffset } from "../helper/timezone.helper.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
 
-export default async function extractSchedule(date) {
+export const requiredFields = ["[].id", "[].title", "[].time", "[].episode_no"];
+
+// `offset` is the viewer's offset in minutes east of UTC; hianime lists the
+// releases of that local day, at local times
+export default async function extractSchedule(date, offset = 330) {
   try {
-    const resp = await axios.get(
-      `https://${v1_base_url}/ajax/schedule/list?tzOffset=-330&date=${date}`
+    const resp = await httpGet(
+      `https://${v1_base_url}/ajax/schedule/list?tzOffset=${-offset}&date=${date}`
     );
     const $ = cheerio.load(resp.data.html);
     const results = [];
@@ -29,6 +35,9 @@ export default async function extractSchedule(date) {
         .trim()
         .split(" ")
         .pop();
+      const airingAt = /^\d{2}:\d{2}$/.test(time)
+        ? `${date}T${time}:00${formatOffset(offset)}`
+        : null;
       results.push({
         id,
         data_id,
@@ -36,12 +45,13 @@ export default async function extractSchedule(date) {
         japanese_title,
         releaseDate,
         time,
+        airingAt,
         episode_no,
       });
     });
     return results;
   } catch (error) {
     console.log(error.message);
-    return [];
+    throw toApiError(error, ParseError);
   }
 }
\ No newline at end of file
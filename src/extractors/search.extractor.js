@@ -1,6 +1,5 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
-import { DEFAULT_HEADERS } from "../configs/header.config.js";
 import { v1_base_url } from "../utils/base_v1.js";
 import {
   FILTER_LANGUAGE_MAP,
@@ -12,6 +11,10 @@ import {
   FILTER_SEASON,
   FILTER_SORT,
 } from "../routes/filter.maping.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+// results are [totalPage, anime]
+export const requiredFields = ["1[].id", "1[].title", "1[].poster"];
 
 async function extractSearchResults(params = {}) {
   try {
@@ -78,12 +81,11 @@ async function extractSearchResults(params = {}) {
 
     const queryParams = new URLSearchParams(filteredParams).toString();
 
-    const resp = await axios.get(`https://${v1_base_url}/search?${queryParams}`, {
+    const resp = await httpGet(`https://${v1_base_url}/search?${queryParams}`, {
       headers: {
         Accept:
           "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9",
         "Accept-Encoding": "gzip, deflate, br",
-        "User-Agent": DEFAULT_HEADERS,
       },
     });
 
@@ -175,7 +177,7 @@ async function extractSearchResults(params = {}) {
     return [parseInt(totalPage, 10), result.length > 0 ? result : []];
   } catch (e) {
     console.error(e);
-    return e;
+    throw toApiError(e, ParseError);
   }
 }
 
@@ -1,11 +1,14 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import formatTitle from "../helper/formatTitle.helper.js";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = ["[].id", "[].title", "[].season_poster"];
 
 async function extractSeasons(id) {
   try {
-    const resp = await axios.get(`https://${v1_base_url}/watch/${id}`);
+    const resp = await httpGet(`https://${v1_base_url}/watch/${id}`);
     const $ = cheerio.load(resp.data);
     const seasons = $(".anis-watch>.other-season>.inner>.os-list>a")
       .map((index, element) => {
@@ -24,6 +27,7 @@ async function extractSeasons(id) {
     return seasons;
   } catch (e) {
     console.log(e);
+    throw toApiError(e, ParseError);
   }
 }
 
@@ -1,10 +1,20 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = [
+  "[].id",
+  "[].data_id",
+  "[].poster",
+  "[].title",
+  "[].description",
+  "[].tvInfo.showType",
+];
 
 async function extractSpotlights() {
   try {
-    const resp = await axios.get(`https://${v1_base_url}/home`);
+    const resp = await httpGet(`https://${v1_base_url}/home`);
     const $ = cheerio.load(resp.data);
 
     const slideElements = $(
@@ -96,7 +106,7 @@ async function extractSpotlights() {
     return JSON.parse(JSON.stringify(serverData, null, 2));
   } catch (error) {
     console.error("Error fetching data:", error.message);
-    return error;
+    throw toApiError(error, ParseError);
   }
 }
 
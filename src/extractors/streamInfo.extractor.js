@@ -1,34 +1,54 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
 // import decryptMegacloud from "../parsers/decryptors/megacloud.decryptor.js";
 // import AniplayExtractor from "../parsers/aniplay.parser.js";
-import { decryptSources_v1 } from "../parsers/decryptors/decrypt_v1.decryptor.js";
+import { decryptServer } from "../parsers/decryptors/chain.decryptor.js";
+import {
+  NotFoundError,
+  ParseError,
+  toApiError,
+} from "../helper/errors.helper.js";
+
+// Fields of each server extractServers returns
+export const requiredFields = [
+  "[].type",
+  "[].data_id",
+  "[].server_id",
+  "[].serverName",
+];
+
+export function parseServers(html) {
+  const $ = cheerio.load(html);
+  const serverData = [];
+  $(".server-item").each((index, element) => {
+    const data_id = $(element).attr("data-id");
+    const server_id = $(element).attr("data-server-id");
+    const type = $(element).attr("data-type");
+
+    const serverName = $(element).find("a").text().trim();
+    serverData.push({
+      type,
+      data_id,
+      server_id,
+      serverName,
+    });
+  });
+  return serverData;
+}
 
 export async function extractServers(id) {
   try {
-    const resp = await axios.get(
+    const resp = await httpGet(
       `https://${v1_base_url}/ajax/v2/episode/servers?episodeId=${id}`
     );
-    const $ = cheerio.load(resp.data.html);
-    const serverData = [];
-    $(".server-item").each((index, element) => {
-      const data_id = $(element).attr("data-id");
-      const server_id = $(element).attr("data-server-id");
-      const type = $(element).attr("data-type");
-
-      const serverName = $(element).find("a").text().trim();
-      serverData.push({
-        type,
-        data_id,
-        server_id,
-        serverName,
-      });
-    });
-    return serverData;
+    if (typeof resp.data?.html !== "string") {
+      throw new ParseError(`No servers html for episode ${id}`);
+    }
+    return parseServers(resp.data.html);
   } catch (error) {
-    console.log(error);
-    return [];
+    console.error(error);
+    throw toApiError(error, ParseError);
   }
 }
 
@@ -48,20 +68,15 @@ async function extractStreamingInfo(id, name, type) {
       );
     }
     if (requestedServer.length === 0) {
-      throw new Error(
+      throw new NotFoundError(
         `No matching server found for name: ${name}, type: ${type}`
       );
     }
-    const streamingLink = await decryptSources_v1(
-      id,
-      requestedServer[0].data_id,
-      name,
-      type
-    );
+    const streamingLink = await decryptServer(id, requestedServer[0], servers);
     return { streamingLink, servers };
   } catch (error) {
     console.error("An error occurred:", error);
-    return { streamingLink: [], servers: [] };
+    throw toApiError(error, ParseError);
   }
 }
 export { extractStreamingInfo };
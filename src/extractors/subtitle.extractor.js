@@ -1,12 +1,12 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import { v1_base_url } from "../utils/base_v1.js";
 import { provider } from "../utils/provider.js";
 
 export async function extractSubtitle(id) {
-  const resp = await axios.get(
+  const resp = await httpGet(
     `https://${v1_base_url}/ajax/v2/episode/sources/?id=${id}`
   );
-  const source = await axios.get(
+  const source = await httpGet(
     `${provider}/embed-2/ajax/e-1/getSources?id=${resp.data.link
       .split("/")
       .pop()
@@ -1,10 +1,13 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = ["[].id", "[].title", "[].poster"];
 
 async function getSuggestions(keyword) {
   try {
-    const resp = await axios.get(
+    const resp = await httpGet(
       `https://${v1_base_url}/ajax/search/suggest?keyword=${keyword}`
     );
     const $ = cheerio.load(resp.data.html);
@@ -44,6 +47,7 @@ async function getSuggestions(keyword) {
       return results;
   } catch (error) {
     console.log(error.message);
+    throw toApiError(error, ParseError);
   }
 }
 
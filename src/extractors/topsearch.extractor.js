@@ -1,10 +1,13 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = ["[].title", "[].link"];
 
 async function extractTopSearch() {
   try {
-    const { data } = await axios.get(`https://${v1_base_url}`);
+    const { data } = await httpGet(`https://${v1_base_url}`);
     const $ = cheerio.load(data);
     const results = [];
     $(".xhashtag a.item").each((_, element) => {
@@ -15,6 +18,7 @@ async function extractTopSearch() {
     return results;
   } catch (error) {
     console.error("Error fetching data:", error.message);
+    throw toApiError(error, ParseError);
   }
 }
 
@@ -1,10 +1,23 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = [
+  "today[].id",
+  "today[].title",
+  "today[].poster",
+  "week[].id",
+  "week[].title",
+  "week[].poster",
+  "month[].id",
+  "month[].title",
+  "month[].poster",
+];
 
 async function extractTopTen() {
   try {
-    const resp = await axios.get(`https://${v1_base_url}/home`);
+    const resp = await httpGet(`https://${v1_base_url}/home`);
     const $ = cheerio.load(resp.data);
 
     const labels = ["today", "week", "month"];
@@ -44,7 +57,7 @@ async function extractTopTen() {
     return result;
   } catch (error) {
     console.error("Error fetching data:", error);
-    throw error;
+    throw toApiError(error, ParseError);
   }
 }
 
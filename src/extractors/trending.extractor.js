@@ -1,6 +1,9 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = ["[].id", "[].data_id", "[].poster", "[].title"];
 
 async function fetchAnimeDetails(element) {
   const data_id = element.attr("data-id");
@@ -14,7 +17,7 @@ async function fetchAnimeDetails(element) {
 
 async function extractTrending() {
   try {
-    const resp = await axios.get(`https://${v1_base_url}/home`);
+    const resp = await httpGet(`https://${v1_base_url}/home`);
     const $ = cheerio.load(resp.data);
 
     const trendingElements = $("#anime-trending #trending-home .swiper-slide");
@@ -28,7 +31,7 @@ async function extractTrending() {
     return JSON.parse(JSON.stringify(trendingData));
   } catch (error) {
     console.error("Error fetching data:", error.message);
-    return error;
+    throw toApiError(error, ParseError);
   }
 }
 
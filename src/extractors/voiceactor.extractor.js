@@ -1,10 +1,16 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = [
+  "charactersVoiceActors[].character.id",
+  "charactersVoiceActors[].character.name",
+];
 
 export default async function extractVoiceActor(id, page) {
   try {
-    const resp = await axios.get(
+    const resp = await httpGet(
       `https://${v1_base_url}/ajax/character/list/${id
         .split("-")
         .pop()}?page=${page}`
@@ -73,6 +79,6 @@ export default async function extractVoiceActor(id, page) {
     return { totalPages, charactersVoiceActors };
   } catch (error) {
     console.error("Error in extractVoiceActor:", error);
-    throw new Error("Could not extract voice actors");
+    throw toApiError(error, ParseError, "Could not extract voice actors");
   }
 }
@@ -1,11 +1,18 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
+import { ParseError, toApiError } from "../helper/errors.helper.js";
+
+export const requiredFields = [
+  "watchlist[].id",
+  "watchlist[].title",
+  "watchlist[].poster",
+];
 
 export default async function extractWatchlist(userId, page = 1) {
   try {
     const url = `https://${v1_base_url}/community/user/${userId}/watch-list?page=${page}`;
-    const { data } = await axios.get(url);
+    const { data } = await httpGet(url);
     const $ = cheerio.load(data);
     const watchlist = [];
 
@@ -58,6 +65,6 @@ export default async function extractWatchlist(userId, page = 1) {
     return { watchlist, totalPages };
   } catch (error) {
     console.error("Error fetching watchlist:", error.message);
-    throw error;
+    throw toApiError(error, ParseError);
   }
 }
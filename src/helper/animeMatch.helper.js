@@ -0,0 +1,155 @@
+import { stringSimilarity } from "string-similarity-js";
+
+// AniList format -> hianime show type
+const FORMATS = {
+  TV: "TV",
+  TV_SHORT: "TV",
+  MOVIE: "Movie",
+  SPECIAL: "Special",
+  OVA: "OVA",
+  ONA: "ONA",
+  MUSIC: "Music",
+};
+
+// How much each signal counts towards a candidate's score
+const WEIGHTS = {
+  title: 0.5,
+  format: 0.15,
+  episodes: 0.15,
+  season: 0.1,
+  year: 0.1,
+};
+
+const normalizeTitle = (title) =>
+  title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * Season or part number of a title ("Season 2", "2nd Season", "Part 2",
+ * "II", a trailing number), 1 when the title has none.
+ * @param {string} title
+ * @returns {number}
+ */
+export function seasonNumber(title = "") {
+  const patterns = [
+    /season\s*(\d+)/i,
+    /(\d+)(?:st|nd|rd|th)\s*season/i,
+    /part\s*(\d+)/i,
+    /\s(\d{1,2})$/,
+  ];
+  for (const pattern of patterns) {
+    const found = pattern.exec(title.trim());
+    if (found) return Number(found[1]);
+  }
+  const roman = /\s(II|III|IV|V)$/.exec(title.trim());
+  if (roman) return { II: 2, III: 3, IV: 4, V: 5 }[roman[1]];
+  return 1;
+}
+
+/**
+ * Every title AniList knows a media by, deduplicated.
+ * @param {object} media - AniList Media with title and synonyms
+ * @returns {Array<string>}
+ */
+export function anilistTitles(media) {
+  const titles = [
+    media.title?.english,
+    media.title?.romaji,
+    media.title?.native,
+    media.title?.userPreferred,
+    ...(media.synonyms || []),
+  ].filter(Boolean);
+  return [...new Set(titles)];
+}
+
+function titleScore(media, candidate) {
+  const wanted = anilistTitles(media).map(normalizeTitle);
+  const names = [candidate.title, candidate.japanese_title]
+    .filter(Boolean)
+    .map(normalizeTitle);
+  let best = 0;
+  for (const name of names) {
+    for (const title of wanted) {
+      best = Math.max(best, name === title ? 1 : stringSimilarity(name, title));
+    }
+  }
+  return best;
+}
+
+function formatScore(media, candidate) {
+  const expected = FORMATS[media.format];
+  const showType = candidate.tvInfo?.showType;
+  if (!expected || !showType || showType === "Unknown") return 0.5;
+  return expected.toLowerCase() === showType.toLowerCase() ? 1 : 0;
+}
+
+function episodesScore(media, candidate) {
+  const expected = media.episodes;
+  const found =
+    candidate.tvInfo?.eps || candidate.tvInfo?.sub || candidate.tvInfo?.dub;
+  // unknown counts, or a show still airing, say nothing either way
+  if (!expected || !found || media.status === "RELEASING") return 0.5;
+  return Math.min(expected, found) / Math.max(expected, found);
+}
+
+function seasonScore(media, candidate) {
+  const expected = seasonNumber(media.title?.english || media.title?.romaji);
+  return seasonNumber(candidate.title) === expected ? 1 : 0;
+}
+
+function yearScore(media, candidate) {
+  const expected = media.seasonYear || media.startDate?.year;
+  if (!expected || !candidate.year) return 0.5;
+  const distance = Math.abs(expected - candidate.year);
+  return distance === 0 ? 1 : distance === 1 ? 0.5 : 0;
+}
+
+/**
+ * Scores a hianime search result against an AniList media.
+ * @param {object} media - AniList Media
+ * @param {object} candidate - Search result ({ id, title, japanese_title,
+ *   tvInfo: { showType, eps, sub, dub } }), optionally with the `year` it aired
+ * @returns {{ score: number, signals: object }} - score between 0 and 1
+ */
+export function scoreCandidate(media, candidate) {
+  const signals = {
+    title: titleScore(media, candidate),
+    format: formatScore(media, candidate),
+    episodes: episodesScore(media, candidate),
+    season: seasonScore(media, candidate),
+    year: yearScore(media, candidate),
+  };
+  const score = Object.entries(WEIGHTS).reduce(
+    (total, [signal, weight]) => total + signals[signal] * weight,
+    0
+  );
+  const round = (value) => Number(value.toFixed(3));
+  return {
+    score: round(score),
+    signals: Object.fromEntries(
+      Object.entries(signals).map(([signal, value]) => [signal, round(value)])
+    ),
+  };
+}
+
+/**
+ * Scores and sorts candidates, best first.
+ * @param {object} media - AniList Media
+ * @param {Array<object>} candidates - hianime search results
+ * @returns {Array<object>} - candidates with `score` and `signals`
+ */
+export function rankCandidates(media, candidates) {
+  return candidates
+    .map((candidate) => ({ ...candidate, ...scoreCandidate(media, candidate) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Four digit year of hianime's "Premiered" ("Fall 2004") or "Aired" field
+export function airedYear(animeInfo = {}) {
+  const found = /\b(19|20)\d{2}\b/.exec(
+    `${animeInfo.Premiered || ""} ${animeInfo.Aired || ""}`
+  );
+  return found ? Number(found[0]) : null;
+}
@@ -0,0 +1,168 @@
+// Builds the combined AniList + hianime view of an anime. Every field lists
+// its sources in order of preference; the first one with a value wins and is
+// recorded in `provenance`, so a field AniList leaves empty (a description,
+// an episode count) still gets hianime's value and says so.
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value === undefined || value === null || value === "" || isNaN(number)
+    ? null
+    : number;
+};
+
+const isoTime = (seconds) =>
+  seconds ? new Date(seconds * 1000).toISOString() : null;
+
+const fuzzyDate = (date) => {
+  if (!date?.year) return null;
+  const pad = (value) => String(value).padStart(2, "0");
+  return [date.year, date.month && pad(date.month), date.month && date.day && pad(date.day)]
+    .filter(Boolean)
+    .join("-");
+};
+
+const stripHtml = (text) =>
+  text ? text.replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]*>/g, "").trim() : null;
+
+const anilistFields = {
+  title: (media) => media.title,
+  description: (media) => stripHtml(media.description),
+  coverImage: (media) => media.coverImage,
+  bannerImage: (media) => media.bannerImage,
+  color: (media) => media.coverImage?.color,
+  format: (media) => media.format,
+  status: (media) => media.status,
+  season: (media) => media.season,
+  seasonYear: (media) => media.seasonYear,
+  startDate: (media) => fuzzyDate(media.startDate),
+  endDate: (media) => fuzzyDate(media.endDate),
+  duration: (media) => media.duration,
+  totalEpisodes: (media) => media.episodes,
+  genres: (media) => media.genres,
+  synonyms: (media) => media.synonyms,
+  averageScore: (media) => media.averageScore,
+  meanScore: (media) => media.meanScore,
+  popularity: (media) => media.popularity,
+  favourites: (media) => media.favourites,
+  studios: (media) =>
+    media.studios?.edges?.map(({ isMain, node }) => ({
+      id: node.id,
+      name: node.name,
+      isAnimationStudio: node.isAnimationStudio,
+      isMain,
+    })),
+  tags: (media) =>
+    media.tags?.map((tag) => ({
+      name: tag.name,
+      rank: tag.rank,
+      isSpoiler: tag.isMediaSpoiler,
+    })),
+  relations: (media) =>
+    media.relations?.edges?.map(({ relationType, node }) => ({
+      relationType,
+      anilistId: node.id,
+      malId: node.idMal,
+      type: node.type,
+      format: node.format,
+      status: node.status,
+      title: node.title,
+      coverImage: node.coverImage?.large,
+    })),
+  nextAiringEpisode: (media) =>
+    media.nextAiringEpisode && {
+      episode: media.nextAiringEpisode.episode,
+      airingAt: isoTime(media.nextAiringEpisode.airingAt),
+    },
+  airingSchedule: (media) =>
+    media.airingSchedule?.nodes?.map((node) => ({
+      episode: node.episode,
+      airingAt: isoTime(node.airingAt),
+    })),
+};
+
+const hianimeFields = {
+  title: (info) =>
+    info.title && { english: info.title, native: info.japanese_title || null },
+  description: (info) => info.animeInfo?.Overview,
+  coverImage: (info) => info.poster && { large: info.poster },
+  format: (info) => info.showType,
+  status: (info) => info.animeInfo?.Status,
+  genres: (info) => info.animeInfo?.Genres,
+  totalEpisodes: (info, episodes) =>
+    toNumber(info.animeInfo?.tvInfo?.eps) || episodes?.length,
+  subEpisodes: (info) => toNumber(info.animeInfo?.tvInfo?.sub),
+  dubEpisodes: (info) => toNumber(info.animeInfo?.tvInfo?.dub),
+  rating: (info) => info.animeInfo?.tvInfo?.rating,
+  quality: (info) => info.animeInfo?.tvInfo?.quality,
+  trailers: (info) => info.animeInfo?.trailers,
+};
+
+// Field -> sources to try, in order
+const FIELDS = {
+  title: ["anilist", "hianime"],
+  description: ["anilist", "hianime"],
+  coverImage: ["anilist", "hianime"],
+  bannerImage: ["anilist"],
+  color: ["anilist"],
+  format: ["anilist", "hianime"],
+  status: ["anilist", "hianime"],
+  season: ["anilist"],
+  seasonYear: ["anilist"],
+  startDate: ["anilist"],
+  endDate: ["anilist"],
+  duration: ["anilist"],
+  genres: ["anilist", "hianime"],
+  synonyms: ["anilist"],
+  averageScore: ["anilist"],
+  meanScore: ["anilist"],
+  popularity: ["anilist"],
+  favourites: ["anilist"],
+  studios: ["anilist"],
+  tags: ["anilist"],
+  relations: ["anilist"],
+  nextAiringEpisode: ["anilist"],
+  airingSchedule: ["anilist"],
+  // hianime only counts what it actually has, which is what can be watched
+  totalEpisodes: ["hianime", "anilist"],
+  subEpisodes: ["hianime"],
+  dubEpisodes: ["hianime"],
+  rating: ["hianime"],
+  quality: ["hianime"],
+  trailers: ["hianime"],
+};
+
+/**
+ * Merges an AniList Media and a hianime anime page into one object.
+ * @param {object|null} media - AniList Media, null when AniList failed
+ * @param {object|null} info - extractAnimeInfo() result
+ * @param {Array<object>} [episodes] - hianime episode list, counted when the
+ *   page shows no episode total
+ * @returns {{ data: object, provenance: object }} - merged fields, and the
+ *   source ("anilist" or "hianime") each one came from, null when neither had it
+ */
+export function mergeAnimeInfo(media, info, episodes = []) {
+  const sources = {
+    anilist: media && ((field) => anilistFields[field]?.(media)),
+    hianime: info && ((field) => hianimeFields[field]?.(info, episodes)),
+  };
+  const data = {};
+  const provenance = {};
+  for (const [field, order] of Object.entries(FIELDS)) {
+    data[field] = null;
+    provenance[field] = null;
+    for (const source of order) {
+      const value = sources[source]?.(field);
+      if (isEmpty(value)) continue;
+      data[field] = value;
+      provenance[field] = source;
+      break;
+    }
+  }
+  return { data, provenance };
+}
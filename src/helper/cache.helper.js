@@ -1,34 +1,111 @@
-import axios from "axios";
-import dotenv from "dotenv";
+import MemoryStore from "./stores/memory.store.js";
+import DiskStore from "./stores/disk.store.js";
+import RemoteStore from "./stores/remote.store.js";
+import {
+  CACHE_DRIVER,
+  CACHE_URL,
+  CACHE_DIR,
+  CACHE_MAX_ENTRIES,
+  CACHE_DEFAULT_TTL,
+  CACHE_STALE_TTL,
+} from "../configs/cache.config.js";
 
-dotenv.config();
+function createStore(driver) {
+  switch (driver) {
+    case "disk":
+      return new DiskStore(CACHE_DIR);
+    case "remote":
+      if (!CACHE_URL) {
+        console.error("CACHE_DRIVER=remote needs CACHE_URL, using memory");
+        return new MemoryStore(CACHE_MAX_ENTRIES);
+      }
+      return new RemoteStore(CACHE_URL);
+    case "memory":
+      return new MemoryStore(CACHE_MAX_ENTRIES);
+    default:
+      console.error(`Unknown CACHE_DRIVER "${driver}", using memory`);
+      return new MemoryStore(CACHE_MAX_ENTRIES);
+  }
+}
 
-const CACHE_SERVER_URL = process.env.CACHE_URL || null;
+const store = createStore(CACHE_DRIVER);
 
+// A broken cache should never fail a request, so reads only log.
 export const getCachedData = async (key) => {
   try {
-    if (!CACHE_SERVER_URL) {
-      console.log(CACHE_SERVER_URL);
-      return;
-    }
-    const response = await axios.get(`${CACHE_SERVER_URL}/${key}`);
-    return response.data;
+    return await store.get(key);
   } catch (error) {
-    if (error.response && error.response.status === 404) {
-      return null;
-    }
-    throw error;
+    console.error(`Error getting cache data for ${key}:`, error.message);
+    return null;
   }
 };
 
-export const setCachedData = async (key, value) => {
+export const setCachedData = async (key, value, ttl = CACHE_DEFAULT_TTL) => {
   try {
-    if (!CACHE_SERVER_URL) {
-      return;
-    }
-    await axios.post(CACHE_SERVER_URL, { key, value });
+    await store.set(key, value, ttl);
   } catch (error) {
     console.error("Error setting cache data:", error);
     throw error;
   }
 };
+
+export const deleteCachedData = async (key) => {
+  try {
+    await store.delete(key);
+  } catch (error) {
+    console.error("Error deleting cache data:", error);
+    throw error;
+  }
+};
+
+// Upstream fetches currently running, keyed by cache key
+const inFlight = new Map();
+
+const hasData = (value) => value && Object.keys(value).length > 0;
+
+function refresh(key, fetcher, ttl, staleTtl, shouldCache) {
+  if (inFlight.has(key)) return inFlight.get(key);
+  const promise = (async () => {
+    const value = await fetcher();
+    if (shouldCache(value)) {
+      const entry = { value, staleAt: Date.now() + ttl * 1000 };
+      setCachedData(key, entry, ttl + staleTtl).catch((err) => {
+        console.error("Failed to set cache:", err);
+      });
+    }
+    return value;
+  })().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Stale-while-revalidate read-through cache.
+ * Fresh entries are returned as is, stale ones are returned immediately while
+ * a single background refresh runs, and concurrent misses for the same key
+ * share one upstream fetch.
+ * @param {string} key - Cache key
+ * @param {number} ttl - Seconds the value is considered fresh
+ * @param {Function} fetcher - Async function producing the value
+ * @param {object} [options]
+ * @param {number} [options.staleTtl] - Seconds a stale value may still be served
+ * @param {Function} [options.shouldCache] - Decides whether a fetched value is stored
+ * @returns {Promise<any>}
+ */
+export const withCache = async (
+  key,
+  ttl,
+  fetcher,
+  { staleTtl = CACHE_STALE_TTL, shouldCache = hasData } = {}
+) => {
+  const entry = await getCachedData(key);
+  if (entry?.staleAt) {
+    if (entry.staleAt <= Date.now()) {
+      refresh(key, fetcher, ttl, staleTtl, shouldCache).catch((err) => {
+        console.error(`Background refresh of ${key} failed:`, err.message);
+      });
+    }
+    return entry.value;
+  }
+  return refresh(key, fetcher, ttl, staleTtl, shouldCache);
+};
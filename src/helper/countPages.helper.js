@@ -1,12 +1,9 @@
-import axios from "axios";
 import * as cheerio from "cheerio";
-import { DEFAULT_HEADERS } from "../configs/header.config.js";
-
-const axiosInstance = axios.create({ headers: DEFAULT_HEADERS });
+import { httpGet } from "./http.helper.js";
 
 async function countPages(url) {
   try {
-    const { data } = await axiosInstance.get(url);
+    const { data } = await httpGet(url);
     const $ = cheerio.load(data);
     const lastPageHref = $(
       ".tab-content .pagination .page-item:last-child a"
@@ -0,0 +1,113 @@
+// Errors the API answers with. Each class carries the HTTP status and the
+// machine-readable code put in the { success: false, code, message } envelope.
+
+export class ApiError extends Error {
+  constructor(message = "Internal server error", options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+ApiError.prototype.status = 500;
+ApiError.prototype.code = "INTERNAL_ERROR";
+
+// The request itself is wrong: a missing or malformed parameter
+export class BadInputError extends ApiError {}
+BadInputError.prototype.status = 400;
+BadInputError.prototype.code = "BAD_INPUT";
+
+// BadInputError listing every rejected field, sent back as `details`
+export class ValidationError extends BadInputError {
+  constructor(details, options) {
+    super(
+      `Invalid request: ${details
+        .map(({ field, message }) => `${field} ${message}`)
+        .join("; ")}`,
+      options
+    );
+    this.details = details;
+  }
+}
+
+// The request lacks the token the route requires
+export class UnauthorizedError extends ApiError {}
+UnauthorizedError.prototype.status = 401;
+UnauthorizedError.prototype.code = "UNAUTHORIZED";
+
+// The anime, episode, page, ... doesn't exist
+export class NotFoundError extends ApiError {}
+NotFoundError.prototype.status = 404;
+NotFoundError.prototype.code = "NOT_FOUND";
+
+// Upstream asked us to slow down
+export class RateLimitedError extends ApiError {
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options);
+    // seconds, sent back as Retry-After when known
+    this.retryAfter = retryAfter ?? null;
+  }
+}
+RateLimitedError.prototype.status = 429;
+RateLimitedError.prototype.code = "RATE_LIMITED";
+
+// Upstream is down, timing out, answering 5xx or a challenge page
+export class UpstreamUnavailableError extends ApiError {}
+UpstreamUnavailableError.prototype.status = 502;
+UpstreamUnavailableError.prototype.code = "UPSTREAM_UNAVAILABLE";
+
+// Upstream answered, but not with the markup or JSON an extractor expects
+export class ParseError extends ApiError {}
+ParseError.prototype.status = 502;
+ParseError.prototype.code = "PARSE_FAILURE";
+
+const BY_STATUS = {
+  400: BadInputError,
+  401: UnauthorizedError,
+  404: NotFoundError,
+  429: RateLimitedError,
+  502: UpstreamUnavailableError,
+};
+
+// Code of a status for responses written without an error object, statuses
+// without a class of their own get `Fallback`'s
+export const errorCode = (status, Fallback = ApiError) =>
+  (BY_STATUS[status] || Fallback).prototype.code;
+
+function retryAfter(response) {
+  const seconds = Number(response.headers?.["retry-after"]);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+/**
+ * Turns anything thrown into an ApiError.
+ *  - ApiErrors are returned as they are, message included
+ *  - errors with a `status` become the class of that status
+ *  - axios errors become NotFound (404), RateLimited (429) or
+ *    UpstreamUnavailable (other statuses, timeouts, network errors)
+ *  - anything else becomes `Fallback`
+ * @param {Error} error
+ * @param {typeof ApiError} [Fallback] - Class of unrecognised errors, e.g.
+ *   ParseError in extractors where they come from unexpected markup
+ * @param {string} [message] - Message of the new error, the original one by default
+ * @returns {ApiError}
+ */
+export function toApiError(error, Fallback = ApiError, message) {
+  if (error instanceof ApiError) return error;
+  const text = message ?? error?.message;
+  const options = { cause: error };
+  // axios errors, and mirror challenge pages which carry their response
+  if (error?.isAxiosError || error?.response) {
+    const status = error.response?.status;
+    if (status === 404) return new NotFoundError(text, options);
+    if (status === 429) {
+      return new RateLimitedError(text, {
+        ...options,
+        retryAfter: retryAfter(error.response),
+      });
+    }
+    return new UpstreamUnavailableError(text, options);
+  }
+  if (error?.status && BY_STATUS[error.status]) {
+    return new BY_STATUS[error.status](text, options);
+  }
+  return new Fallback(text, options);
+}
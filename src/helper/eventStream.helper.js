@@ -0,0 +1,175 @@
+import { extractor } from "../extractors/category.extractor.js";
+import { releaseEvents, watchAnime } from "./releaseWatcher.helper.js";
+import { parseTimezone, zoneDate, dayOffset } from "./timezone.helper.js";
+import {
+  resolveProviders,
+  callProviders,
+} from "../providers/providerRegistry.js";
+import { SCHEDULE_TIMEZONE } from "../configs/schedule.config.js";
+import {
+  EVENTS_POLL_INTERVAL,
+  EVENTS_BUFFER,
+} from "../configs/events.config.js";
+
+export const EVENT_TYPES = [
+  "episode.sub",
+  "episode.dub",
+  "schedule.added",
+  "schedule.changed",
+  "schedule.removed",
+  "recently-updated",
+];
+
+// Recent events, oldest first: { id, type, data }. Ids are increasing
+// timestamps, so they stay comparable across restarts.
+const buffer = [];
+let lastId = 0;
+
+// listener -> { ids: Set|null, types: Set|null, send }
+const listeners = new Map();
+
+const matches = ({ ids, types }, event) =>
+  (!types || types.has(event.type)) &&
+  (!ids || ids.has(event.data.animeId));
+
+export function publish(type, data) {
+  lastId = Math.max(Date.now(), lastId + 1);
+  const event = { id: String(lastId), type, data };
+  buffer.push(event);
+  if (buffer.length > EVENTS_BUFFER) buffer.shift();
+  for (const listener of listeners.values()) {
+    if (matches(listener, event)) listener.send(event);
+  }
+}
+
+/**
+ * Adds a listener, first replaying the buffered events after `lastEventId`.
+ * @param {object} options
+ * @param {Array<string>} [options.ids] - Anime IDs to keep, all when empty
+ * @param {Array<string>} [options.types] - Event types to keep, all when empty
+ * @param {string} [options.lastEventId] - Last-Event-ID of a reconnecting client
+ * @param {Function} send - Called with every matching event
+ * @returns {Function} - Removes the listener
+ */
+export function listen({ ids, types, lastEventId }, send) {
+  const listener = {
+    ids: ids?.length ? new Set(ids) : null,
+    types: types?.length ? new Set(types) : null,
+    send,
+  };
+  if (lastEventId) {
+    buffer
+      .filter((event) => Number(event.id) > Number(lastEventId))
+      .filter((event) => matches(listener, event))
+      .forEach(send);
+  }
+  const key = Symbol("listener");
+  listeners.set(key, listener);
+  startPolling();
+  return () => {
+    listeners.delete(key);
+    if (listeners.size === 0) stopPolling();
+  };
+}
+
+// The anime listeners asked for by ID are watched for new episodes
+watchAnime(() =>
+  [...listeners.values()].flatMap((listener) => [...(listener.ids || [])])
+);
+releaseEvents.on("release", (event) => publish(event.type, event));
+
+// Last poll results, the first poll of each only sets them
+let lastSchedule = null;
+let lastUpdated = null;
+
+const scheduleKey = (item) => `${item.id}:${item.episode_no}`;
+
+async function pollSchedule() {
+  const zone = parseTimezone(SCHEDULE_TIMEZONE);
+  const date = zoneDate(zone);
+  const { data } = await callProviders(
+    resolveProviders(),
+    "schedule",
+    date,
+    dayOffset(zone, date)
+  );
+  // polling stopped while this one was in flight
+  if (!timer) return;
+  const current = new Map(data.map((item) => [scheduleKey(item), item]));
+  // a new day starts from scratch rather than "removing" yesterday
+  if (lastSchedule?.date === date) {
+    const event = (item, previous) => ({
+      animeId: item.id,
+      title: item.title,
+      episode: Number(item.episode_no) || null,
+      airingAt: item.airingAt,
+      ...(previous && { previousAiringAt: previous.airingAt }),
+    });
+    for (const [key, item] of current) {
+      const previous = lastSchedule.items.get(key);
+      if (!previous) publish("schedule.added", event(item));
+      else if (previous.airingAt !== item.airingAt) {
+        publish("schedule.changed", event(item, previous));
+      }
+    }
+    for (const [key, item] of lastSchedule.items) {
+      if (!current.has(key)) publish("schedule.removed", event(item));
+    }
+  }
+  lastSchedule = { date, items: current };
+}
+
+async function pollRecentlyUpdated() {
+  const { data } = await extractor("recently-updated", 1);
+  if (!timer) return;
+  const current = new Map(data.map((anime) => [anime.id, anime]));
+  if (lastUpdated) {
+    const counts = (anime) =>
+      ["sub", "dub", "eps"].map((key) => anime.tvInfo?.[key] || "").join("/");
+    for (const [id, anime] of current) {
+      const previous = lastUpdated.get(id);
+      if (previous && counts(previous) === counts(anime)) continue;
+      publish("recently-updated", {
+        animeId: id,
+        title: anime.title,
+        poster: anime.poster,
+        sub: Number(anime.tvInfo?.sub) || null,
+        dub: Number(anime.tvInfo?.dub) || null,
+        eps: Number(anime.tvInfo?.eps) || null,
+      });
+    }
+  }
+  lastUpdated = current;
+}
+
+async function poll() {
+  for (const [name, task] of [
+    ["schedule", pollSchedule],
+    ["recently-updated", pollRecentlyUpdated],
+  ]) {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Event poll of ${name} failed:`, error.message);
+    }
+  }
+}
+
+let timer = null;
+
+// Upstream is only polled while someone listens
+function startPolling() {
+  if (timer) return;
+  poll();
+  timer = setInterval(poll, EVENTS_POLL_INTERVAL * 1000);
+  timer.unref();
+}
+
+// Nobody was told what changed while nobody listened, so the next listener's
+// first poll sets a new baseline instead of reporting the whole gap
+function stopPolling() {
+  clearInterval(timer);
+  timer = null;
+  lastSchedule = null;
+  lastUpdated = null;
+}
@@ -1,13 +1,11 @@
-import axios from "axios";
+import { httpGet } from "./http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
-import { DEFAULT_HEADERS } from "../configs/header.config.js";
-
-const axiosInstance = axios.create({ headers: DEFAULT_HEADERS });
+import { ParseError, toApiError } from "./errors.helper.js";
 
 async function extractPage(page, params) {
   try {
-    const resp = await axiosInstance.get(`https://${v1_base_url}/${params}?page=${page}`);
+    const resp = await httpGet(`https://${v1_base_url}/${params}?page=${page}`);
     const $ = cheerio.load(resp.data);
     const totalPages =
       Number(
@@ -85,7 +83,7 @@ async function extractPage(page, params) {
     return [data, parseInt(totalPages, 10)];
   } catch (error) {
     console.error(`Error extracting data from page ${page}:`, error.message);
-    throw error;
+    throw toApiError(error, ParseError);
   }
 }
 
@@ -0,0 +1,284 @@
+import extractSpotlights, {
+  requiredFields as spotlightFields,
+} from "../extractors/spotlight.extractor.js";
+import extractTrending, {
+  requiredFields as trendingFields,
+} from "../extractors/trending.extractor.js";
+import extractTopTen, {
+  requiredFields as topTenFields,
+} from "../extractors/topten.extractor.js";
+import extractAnimeInfo, {
+  requiredFields as animeInfoFields,
+} from "../extractors/animeInfo.extractor.js";
+import extractEpisodesList, {
+  requiredFields as episodeListFields,
+} from "../extractors/episodeList.extractor.js";
+import {
+  extractServers,
+  requiredFields as serverFields,
+} from "../extractors/streamInfo.extractor.js";
+import extractSchedule, {
+  requiredFields as scheduleFields,
+} from "../extractors/schedule.extractor.js";
+import { toApiError } from "./errors.helper.js";
+import { parseTimezone, zoneDate, dayOffset } from "./timezone.helper.js";
+import { SCHEDULE_TIMEZONE } from "../configs/schedule.config.js";
+import {
+  HEALTH_CHECK_INTERVAL,
+  HEALTH_CANARY_ID,
+  HEALTH_HISTORY,
+  HEALTH_FILL_DROP,
+} from "../configs/health.config.js";
+
+// Extractors export the fields every result should fill as paths into what
+// they return, `[]` stepping into each item of a list:
+//   "title", "animeInfo.Overview", "[].id", "episodes[].id", "1[].title"
+// A field filled in fewer results than usual is the first sign of a markup
+// change, long before anything throws.
+
+// "episodes[].id" -> the id of every episode
+function valuesAt(result, field) {
+  return field.split(".").reduce(
+    (values, key) =>
+      values.flatMap((value) => {
+        const isList = key.endsWith("[]");
+        const name = isList ? key.slice(0, -2) : key;
+        const next = name ? value?.[name] : value;
+        if (!isList) return [next];
+        return Array.isArray(next) ? next : [];
+      }),
+    [result]
+  );
+}
+
+const isFilled = (value) =>
+  value !== undefined &&
+  value !== null &&
+  value !== "" &&
+  !Number.isNaN(value) &&
+  !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Share of the values of each field that are filled. A list that came back
+ * empty counts as unfilled, that is what a selector that stopped matching
+ * returns.
+ * @param {any} result - What an extractor returned
+ * @param {Array<string>} fields - Its requiredFields
+ * @returns {object} - field -> rate between 0 and 1
+ */
+export function fillRates(result, fields) {
+  return Object.fromEntries(
+    fields.map((field) => {
+      const values = valuesAt(result, field);
+      const filled = values.filter(isFilled).length;
+      return [field, values.length ? filled / values.length : 0];
+    })
+  );
+}
+
+const SKIPPED = Symbol("skipped");
+
+// Codes of errors where upstream couldn't be fetched at all, which says
+// nothing about its markup, unlike a page that came back unreadable
+const UPSTREAM_ERRORS = ["UPSTREAM_UNAVAILABLE", "RATE_LIMITED", "NOT_FOUND"];
+
+// Run in order, each with what the ones before returned
+const canaries = [
+  {
+    canary: "home",
+    extractor: "spotlight",
+    fields: spotlightFields,
+    run: () => extractSpotlights(),
+  },
+  {
+    canary: "home",
+    extractor: "trending",
+    fields: trendingFields,
+    run: () => extractTrending(),
+  },
+  {
+    canary: "home",
+    extractor: "topten",
+    fields: topTenFields,
+    run: () => extractTopTen(),
+  },
+  {
+    canary: "info",
+    extractor: "animeInfo",
+    fields: animeInfoFields,
+    run: () => extractAnimeInfo(HEALTH_CANARY_ID),
+  },
+  {
+    canary: "episodes",
+    extractor: "episodeList",
+    fields: episodeListFields,
+    run: () => extractEpisodesList(HEALTH_CANARY_ID),
+  },
+  {
+    canary: "servers",
+    extractor: "servers",
+    fields: serverFields,
+    run: ({ episodeList }) => {
+      // "one-piece-100?ep=2142"
+      const episodeId = episodeList?.episodes?.[0]?.id?.split("?ep=").pop();
+      return episodeId ? extractServers(episodeId) : SKIPPED;
+    },
+  },
+  {
+    canary: "schedule",
+    extractor: "schedule",
+    fields: scheduleFields,
+    run: () => {
+      const zone = parseTimezone(SCHEDULE_TIMEZONE);
+      const date = zoneDate(zone);
+      return extractSchedule(date, dayOffset(zone, date));
+    },
+  },
+];
+
+// extractor -> [{ at, durationMs, error, fetched, rates }], oldest first
+const history = new Map();
+let lastCheck = null;
+
+function remember(extractor, run) {
+  const runs = [...(history.get(extractor) || []), run];
+  history.set(extractor, runs.slice(-HEALTH_HISTORY));
+}
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+// Latest fill rate of each field against its mean over the earlier runs
+function fieldReport(runs) {
+  const scraped = runs.filter((run) => run.rates);
+  const latest = scraped.at(-1);
+  if (!latest) return {};
+  const earlier = scraped.slice(0, -1);
+  return Object.fromEntries(
+    Object.entries(latest.rates).map(([field, fillRate]) => {
+      const usual = earlier.length
+        ? mean(earlier.map((run) => run.rates[field] ?? 0))
+        : null;
+      let status = "ok";
+      if (fillRate === 0) status = "empty";
+      else if (usual !== null && fillRate < usual * (1 - HEALTH_FILL_DROP)) {
+        status = "dropped";
+      }
+      return [field, { fillRate: round(fillRate), usual: round(usual), status }];
+    })
+  );
+}
+
+function extractorReport({ canary, extractor }) {
+  const runs = history.get(extractor) || [];
+  const latest = runs.at(-1);
+  const fields = fieldReport(runs);
+  const flagged = Object.keys(fields).filter(
+    (field) => fields[field].status !== "ok"
+  );
+  let status = "unknown";
+  if (latest?.skipped) status = "skipped";
+  else if (latest && !latest.fetched) status = "unreachable";
+  else if (latest?.error) status = "failing";
+  else if (latest) status = flagged.length ? "degraded" : "ok";
+  return {
+    canary,
+    status,
+    // only a page that was fetched can tell its markup changed
+    markupChangeSuspected: status === "degraded" || status === "failing",
+    flaggedFields: status === "degraded" ? flagged : [],
+    lastRun: latest
+      ? {
+          at: latest.at,
+          durationMs: latest.durationMs,
+          fetched: Boolean(latest.fetched),
+          error: latest.error || null,
+        }
+      : null,
+    runs: runs.length,
+    fields,
+  };
+}
+
+let checking = null;
+
+/**
+ * Runs every canary scrape once, one at a time, and records the fill rates
+ * of the extractors' required fields.
+ * @returns {Promise<object>} - The report, see getExtractorHealth()
+ */
+export function checkExtractors() {
+  // a slow round isn't run twice side by side
+  checking ||= (async () => {
+    const results = {};
+    for (const { extractor, fields, run } of canaries) {
+      const startedAt = Date.now();
+      const entry = { at: new Date(startedAt).toISOString() };
+      try {
+        const result = await run(results);
+        if (result === SKIPPED) {
+          entry.skipped = true;
+        } else {
+          results[extractor] = result;
+          entry.rates = fillRates(result, fields);
+          entry.fetched = true;
+        }
+      } catch (err) {
+        const error = toApiError(err);
+        entry.error = { code: error.code, message: error.message };
+        entry.fetched = !UPSTREAM_ERRORS.includes(error.code);
+      }
+      entry.durationMs = Date.now() - startedAt;
+      remember(extractor, entry);
+    }
+    lastCheck = new Date().toISOString();
+    const report = getExtractorHealth();
+    for (const [name, health] of Object.entries(report.extractors)) {
+      if (health.markupChangeSuspected) {
+        console.error(
+          `Extractor ${name} looks broken by a markup change:`,
+          health.flaggedFields.join(", ") || health.lastRun.error.message
+        );
+      }
+    }
+    return report;
+  })().finally(() => {
+    checking = null;
+  });
+  return checking;
+}
+
+export function getExtractorHealth() {
+  const extractors = Object.fromEntries(
+    canaries.map((canary) => [canary.extractor, extractorReport(canary)])
+  );
+  return {
+    checkedAt: lastCheck,
+    interval: HEALTH_CHECK_INTERVAL,
+    canaryId: HEALTH_CANARY_ID,
+    markupChangeSuspected: Object.values(extractors).some(
+      (health) => health.markupChangeSuspected
+    ),
+    extractors,
+  };
+}
+
+export function startExtractorHealth(interval = HEALTH_CHECK_INTERVAL) {
+  if (!interval) return () => {};
+  const check = () =>
+    checkExtractors().catch((error) =>
+      console.error("Extractor health check failed:", error.message)
+    );
+  // a first round right away, so the report isn't empty for a whole interval
+  const first = setTimeout(check, 0);
+  const timer = setInterval(check, interval * 1000);
+  // the checks alone shouldn't keep the process alive
+  first.unref();
+  timer.unref();
+  return () => {
+    clearTimeout(first);
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,86 @@
+// RSS 2.0 and Atom writers. A feed is { title, link, selfUrl, description,
+// updated: Date, items } and an item { guid, title, link, description?,
+// image?, date: Date }. `guid` must stay the same for the same episode across
+// requests, readers use it to tell new items from ones already shown.
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// guids are plain strings, Atom wants an IRI
+const atomId = (guid) => `tag:anime-api,2024:${encodeURI(guid)}`;
+
+export function toRss(feed) {
+  const items = feed.items.map((item) =>
+    [
+      "    <item>",
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(atomId(item.guid))}</guid>`,
+      `      <pubDate>${item.date.toUTCString()}</pubDate>`,
+      item.description &&
+        `      <description>${escapeXml(item.description)}</description>`,
+      item.image &&
+        `      <enclosure url="${escapeXml(item.image)}" length="0" type="image/jpeg"/>`,
+      "    </item>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+export function toAtom(feed) {
+  const entries = feed.items.map((item) =>
+    [
+      "  <entry>",
+      `    <id>${escapeXml(atomId(item.guid))}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link href="${escapeXml(item.link)}"/>`,
+      `    <updated>${item.date.toISOString()}</updated>`,
+      item.description &&
+        `    <summary>${escapeXml(item.description)}</summary>`,
+      item.image &&
+        `    <link rel="enclosure" href="${escapeXml(item.image)}" type="image/jpeg"/>`,
+      "  </entry>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    "  <author><name>anime-api</name></author>",
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+export const FEED_FORMATS = {
+  rss: { write: toRss, contentType: "application/rss+xml" },
+  atom: { write: toAtom, contentType: "application/atom+xml" },
+};
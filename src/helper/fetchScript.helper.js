@@ -1,7 +1,7 @@
-import axios from "axios";
+import { httpGet } from "./http.helper.js";
 
 async function fetchScript(url) {
-  const response = await axios.get(url);
+  const response = await httpGet(url);
   return response.data;
 }
 
@@ -0,0 +1,132 @@
+import axios from "axios";
+import {
+  HTTP_TIMEOUT,
+  HTTP_HOST_TIMEOUTS,
+  HTTP_RETRIES,
+  HTTP_DEADLINE,
+  HTTP_BACKOFF_BASE,
+  HTTP_BACKOFF_MAX,
+  HTTP_CONCURRENCY,
+  HTTP_HOST_CONCURRENCY,
+} from "../configs/http.config.js";
+import { DEFAULT_HEADERS } from "../configs/header.config.js";
+import { isChallenge, mirrorRequest } from "./mirror.helper.js";
+import { UpstreamUnavailableError } from "./errors.helper.js";
+
+const client = axios.create();
+
+// Performs a single attempt, see setTransport
+const defaultTransport = (request) => client.request(request);
+let transport = defaultTransport;
+
+/**
+ * Swaps the layer that performs requests, so the tests can answer them from
+ * saved fixtures. Retries, mirrors and concurrency limits still apply.
+ * @param {Function|null} next - (request, send) -> axios-like response, where
+ *   `send` performs the request for real; null restores the default
+ */
+export function setTransport(next) {
+  transport = next ? (request) => next(request, defaultTransport) : defaultTransport;
+}
+
+// host -> { active, queue } of requests waiting for a free slot
+const slots = new Map();
+
+function acquire(host) {
+  const limit = HTTP_HOST_CONCURRENCY[host] || HTTP_CONCURRENCY;
+  const slot = slots.get(host) || { active: 0, queue: [] };
+  slots.set(host, slot);
+  if (slot.active < limit) {
+    slot.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => slot.queue.push(resolve));
+}
+
+function release(host) {
+  const slot = slots.get(host);
+  const next = slot.queue.shift();
+  // hand the slot straight to the next waiter instead of freeing it
+  if (next) return next();
+  slot.active--;
+  if (slot.active === 0) slots.delete(host);
+}
+
+function isRetryable(error) {
+  const response = error.response;
+  // an address publicLookup refused won't turn public on a retry
+  if (error.code === "EPRIVATEADDRESS") return false;
+  if (error instanceof UpstreamUnavailableError) return false;
+  if (!response) return !axios.isCancel(error);
+  if (isChallenge(response)) return false;
+  return response.status === 429 || response.status >= 500;
+}
+
+function backoff(attempt, error) {
+  const retryAfter = Number(error.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, HTTP_BACKOFF_MAX);
+  // full jitter, so clients hit by the same outage don't retry in lockstep
+  return Math.random() * Math.min(HTTP_BACKOFF_MAX, HTTP_BACKOFF_BASE * 2 ** attempt);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One host, with the shared headers, timeout, concurrency limit and retries,
+// all within the deadline of the whole request
+async function send(config) {
+  const host = new URL(config.url).host;
+  const { retries = HTTP_RETRIES, deadline = Infinity, ...rest } = config;
+  const request = {
+    timeout: HTTP_HOST_TIMEOUTS[host] || HTTP_TIMEOUT,
+    ...rest,
+    headers: { ...DEFAULT_HEADERS, ...config.headers },
+  };
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+    await acquire(host);
+    try {
+      // the deadline ran out while queued for a slot, don't send it at all
+      if (Date.now() >= deadline) {
+        throw new UpstreamUnavailableError(
+          `${request.url} ran out of time waiting for a free slot`
+        );
+      }
+      return await transport({
+        ...request,
+        timeout: Math.max(1, Math.min(request.timeout, deadline - Date.now())),
+      });
+    } catch (error) {
+      failure = error;
+    } finally {
+      release(host);
+    }
+    if (attempt >= retries || !isRetryable(failure)) throw failure;
+    const delay = backoff(attempt, failure);
+    // no time left for another attempt
+    if (Date.now() + delay >= deadline) throw failure;
+    console.error(
+      `Retrying ${request.url} (${attempt + 1}/${retries}):`,
+      failure.response ? `HTTP ${failure.response.status}` : failure.message
+    );
+    await sleep(delay);
+  }
+}
+
+/**
+ * Shared client for every upstream request. Adds DEFAULT_HEADERS, a per-host
+ * timeout and concurrency limit, retries 429/5xx/network errors with jittered
+ * backoff and fails over across mirrors for known provider hosts, giving up
+ * once HTTP_DEADLINE has passed.
+ * @param {object} config - axios request config with an absolute url, plus
+ *   optional `retries` and `deadline` (ms timestamp) overriding HTTP_RETRIES
+ *   and HTTP_DEADLINE
+ * @returns {Promise<object>} - axios response
+ */
+export const httpRequest = (config) =>
+  mirrorRequest({ deadline: Date.now() + HTTP_DEADLINE, ...config }, send);
+
+export const httpGet = (url, config = {}) =>
+  httpRequest({ ...config, method: "get", url });
+
+export const httpPost = (url, data, config = {}) =>
+  httpRequest({ ...config, method: "post", url, data });
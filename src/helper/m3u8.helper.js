@@ -0,0 +1,45 @@
+// Tags whose URI attribute points at another playlist, every other URI
+// attribute (EXT-X-KEY, EXT-X-MAP, EXT-X-PART, ...) is a segment or key
+const PLAYLIST_TAGS = [
+  "#EXT-X-MEDIA",
+  "#EXT-X-I-FRAME-STREAM-INF",
+  "#EXT-X-RENDITION-REPORT",
+];
+
+/**
+ * Rewrites every URI of an HLS playlist so the player fetches it through
+ * the proxy.
+ * @param {string} playlist - m3u8 body
+ * @param {string} baseUrl - Url the playlist was fetched from, relative URIs
+ *   are resolved against it
+ * @param {Function} proxyUrl - (absoluteUrl, isPlaylist) -> proxied url
+ * @returns {string}
+ */
+export function rewritePlaylist(playlist, baseUrl, proxyUrl) {
+  const resolve = (uri) => new URL(uri, baseUrl).toString();
+  let nextIsPlaylist = false;
+
+  return playlist
+    .split(/\r?\n/)
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+      if (trimmed.startsWith("#")) {
+        // the uri line following EXT-X-STREAM-INF is a variant playlist
+        if (trimmed.startsWith("#EXT-X-STREAM-INF")) nextIsPlaylist = true;
+        const isPlaylist = PLAYLIST_TAGS.some((tag) => trimmed.startsWith(tag));
+        return line.replace(
+          /URI="([^"]+)"/g,
+          (_, uri) => `URI="${proxyUrl(resolve(uri), isPlaylist)}"`
+        );
+      }
+      const isPlaylist = nextIsPlaylist || /\.m3u8(\?|$)/i.test(trimmed);
+      nextIsPlaylist = false;
+      return proxyUrl(resolve(trimmed), isPlaylist);
+    })
+    .join("\n");
+}
+
+export const isPlaylist = (contentType, body) =>
+  /mpegurl/i.test(contentType || "") ||
+  (typeof body === "string" && body.trimStart().startsWith("#EXTM3U"));
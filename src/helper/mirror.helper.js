@@ -0,0 +1,156 @@
+import { MIRRORS, MIRROR_COOLDOWN } from "../configs/mirrors.config.js";
+import { getRequestContext } from "./requestContext.helper.js";
+import { UpstreamUnavailableError } from "./errors.helper.js";
+
+// host -> { failures, downUntil, lastError, lastFailure, lastSuccess }
+const health = new Map();
+
+function findProvider(host) {
+  return Object.keys(MIRRORS).find((provider) =>
+    MIRRORS[provider].includes(host)
+  );
+}
+
+function markUp(host) {
+  health.set(host, {
+    ...health.get(host),
+    failures: 0,
+    downUntil: 0,
+    lastSuccess: Date.now(),
+  });
+}
+
+function markDown(host, reason) {
+  const state = health.get(host) || {};
+  const failures = (state.failures || 0) + 1;
+  health.set(host, {
+    ...state,
+    failures,
+    // back off longer while a mirror keeps failing, up to 10 cooldowns
+    downUntil: Date.now() + MIRROR_COOLDOWN * Math.min(failures, 10),
+    lastError: reason,
+    lastFailure: Date.now(),
+  });
+  console.error(`Mirror ${host} marked down: ${reason}`);
+}
+
+const isDown = (host) => (health.get(host)?.downUntil || 0) > Date.now();
+
+// Healthy mirrors in configured order. Failing ones are only tried once
+// none is healthy, soonest to recover first.
+export function orderedMirrors(provider) {
+  const hosts = MIRRORS[provider] || [];
+  const healthy = hosts.filter((host) => !isDown(host));
+  if (healthy.length) return healthy;
+  return [...hosts].sort(
+    (a, b) => health.get(a).downUntil - health.get(b).downUntil
+  );
+}
+
+export function isChallenge(response) {
+  if (response.headers?.["cf-mitigated"] === "challenge") return true;
+  if (typeof response.data !== "string") return false;
+  return /<title>Just a moment\.\.\.<\/title>|challenge-platform|cf-chl-/i.test(
+    response.data
+  );
+}
+
+// Why a failed request means the mirror itself is unusable, or null when the
+// mirror answered fine and the error belongs to the request (404, ...)
+function failureReason(error) {
+  if (error.response) {
+    if (isChallenge(error.response)) return "challenge page";
+    if (error.response.status >= 500) return `HTTP ${error.response.status}`;
+    return null;
+  }
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return "timeout";
+  }
+  return error.code || error.message;
+}
+
+function rewriteHeaders(headers, fromHost, toHost) {
+  if (!headers || fromHost === toHost) return headers;
+  return Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [
+      key,
+      typeof value === "string" ? value.split(fromHost).join(toHost) : value,
+    ])
+  );
+}
+
+function reportMirror(host) {
+  const res = getRequestContext()?.res;
+  if (res && !res.headersSent) {
+    res.setHeader("X-Upstream-Mirror", host);
+  }
+}
+
+/**
+ * Runs `send` against the mirrors of the url's provider until one answers or
+ * `config.deadline` passes. Urls whose host is not a known mirror are sent as
+ * is.
+ * @param {object} config - axios request config with an absolute url and an
+ *   optional `deadline` timestamp in ms
+ * @param {Function} send - Performs a single request for a config
+ * @returns {Promise<object>} - axios response
+ */
+export async function mirrorRequest(config, send) {
+  const url = new URL(config.url);
+  const provider = findProvider(url.host);
+  if (!provider) return send(config);
+
+  let lastError;
+  for (const host of orderedMirrors(provider)) {
+    // the time left went to the mirrors before, fail with their error
+    if (lastError && Date.now() >= (config.deadline ?? Infinity)) break;
+    const mirrorUrl = new URL(url);
+    mirrorUrl.host = host;
+    try {
+      const response = await send({
+        ...config,
+        url: mirrorUrl.toString(),
+        headers: rewriteHeaders(config.headers, url.host, host),
+      });
+      if (isChallenge(response)) {
+        throw Object.assign(new Error("Challenge page"), { response });
+      }
+      markUp(host);
+      reportMirror(host);
+      return response;
+    } catch (error) {
+      // never reached the mirror, which says nothing about it
+      if (error instanceof UpstreamUnavailableError) throw lastError ?? error;
+      const reason = failureReason(error);
+      if (!reason) {
+        markUp(host);
+        reportMirror(host);
+        throw error;
+      }
+      markDown(host, reason);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+export function getMirrorHealth() {
+  return Object.fromEntries(
+    Object.entries(MIRRORS).map(([provider, hosts]) => [
+      provider,
+      hosts.map((host) => {
+        const state = health.get(host) || {};
+        return {
+          host,
+          status: isDown(host) ? "down" : "up",
+          failures: state.failures || 0,
+          lastError: state.lastError || null,
+          lastSuccess: state.lastSuccess
+            ? new Date(state.lastSuccess).toISOString()
+            : null,
+          retryAt: isDown(host) ? new Date(state.downUntil).toISOString() : null,
+        };
+      }),
+    ])
+  );
+}
@@ -0,0 +1,157 @@
+import fs from "fs";
+
+const pkg = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8")
+);
+
+const PARAM = /\/:(\w+)(\?)?/g;
+
+// "/api/watchlist/:userId/:page?" -> "/api/watchlist/{userId}/{page}" and
+// "/api/watchlist/{userId}", OpenAPI has no optional path parameters
+function openApiPaths(path) {
+  const full = path.replace(PARAM, "/{$1}");
+  if (!/\/:\w+\?/.test(path)) return [full];
+  const short = path.replace(/\/:\w+\?/g, "").replace(PARAM, "/{$1}");
+  return [full, short];
+}
+
+// getApiAnilistEpisodesIdEpisodeNumberServers
+const operationId = (method, path) =>
+  method +
+  path
+    .split(/[^\w]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+
+// validation.helper.js rule -> OpenAPI schema
+function ruleSchema(rule) {
+  if (rule.type === "array") {
+    return {
+      type: "array",
+      items: ruleSchema(rule.items),
+      minItems: rule.minItems,
+      maxItems: rule.maxItems,
+    };
+  }
+  return {
+    type: rule.type,
+    enum: rule.enum,
+    pattern: rule.pattern?.source,
+    format: rule.format,
+    maxLength: rule.maxLength,
+    minimum: rule.min,
+    maximum: rule.max,
+    default: rule.default,
+    example: rule.example,
+  };
+}
+
+// drops the keys left undefined by ruleSchema
+const compact = (value) => JSON.parse(JSON.stringify(value));
+
+function parameters(schema = {}, path) {
+  const inPath = [...path.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+  const params = Object.entries(schema.params || {})
+    .filter(([name]) => inPath.includes(name))
+    .map(([name, rule]) => ({
+      name,
+      in: "path",
+      required: true,
+      description: rule.description,
+      schema: ruleSchema(rule),
+    }));
+  const query = Object.entries(schema.query || {}).map(([name, rule]) => ({
+    name,
+    in: "query",
+    required: Boolean(rule.required),
+    description: rule.description,
+    schema: ruleSchema(rule),
+    // comma separated, ?ids=a,b
+    ...(rule.type === "array" && { style: "form", explode: false }),
+  }));
+  return [...params, ...query];
+}
+
+function responses(doc, validated) {
+  const ok = doc.content
+    ? Object.fromEntries(
+        Object.entries(doc.content).map(([type, schema]) => [type, { schema }])
+      )
+    : {
+        "application/json": {
+          schema: {
+            type: "object",
+            properties: {
+              success: { type: "boolean", enum: [true] },
+              results: doc.results || {},
+            },
+          },
+        },
+      };
+  return {
+    200: { description: "OK", content: ok },
+    ...(validated && { 400: { $ref: "#/components/responses/Error" } }),
+    default: { $ref: "#/components/responses/Error" },
+  };
+}
+
+/**
+ * Builds the OpenAPI 3 document of the registered routes.
+ * @param {object} options
+ * @param {Array<{ method: string, path: string }>} options.routes - Routes
+ *   in registration order, with express paths
+ * @param {object} options.schemas - "METHOD /path" -> validation schema
+ * @param {object} options.docs - "METHOD /path" -> { tag, summary, results,
+ *   content, body, auth }, `auth` for routes that need a bearer token
+ * @param {object} options.components - Named response shapes
+ * @returns {object}
+ */
+export function buildOpenApi({ routes, schemas, docs, components }) {
+  const paths = {};
+  for (const { method, path } of routes) {
+    const key = `${method.toUpperCase()} ${path}`;
+    const doc = docs[key] || {};
+    for (const openApiPath of openApiPaths(path)) {
+      paths[openApiPath] ??= {};
+      paths[openApiPath][method] = compact({
+        tags: doc.tag ? [doc.tag] : undefined,
+        summary: doc.summary,
+        operationId: operationId(method, openApiPath),
+        parameters: parameters(schemas[key], openApiPath),
+        requestBody: doc.body && {
+          required: true,
+          content: { "application/json": { schema: doc.body } },
+        },
+        security: doc.auth ? [{ bearerAuth: [] }] : undefined,
+        responses: responses(doc, Boolean(schemas[key])),
+      });
+    }
+  }
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Anime API",
+      version: pkg.version,
+      description: pkg.description,
+    },
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer" },
+      },
+      responses: {
+        Error: {
+          description:
+            "Failure, `code` tells BAD_INPUT, UNAUTHORIZED, NOT_FOUND, RATE_LIMITED, UPSTREAM_UNAVAILABLE, PARSE_FAILURE or INTERNAL_ERROR apart",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/Error" },
+            },
+          },
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,174 @@
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
+import { httpGet } from "./http.helper.js";
+import { BadInputError } from "./errors.helper.js";
+import {
+  PROXY_DEFAULT_REFERER,
+  PROXY_ALLOWED_HOSTS,
+  PROXY_MAX_REDIRECTS,
+} from "../configs/proxy.config.js";
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, so
+// the proxies can't be pointed at our own network. IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+const PRIVATE_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 3, "ipv4"],
+  // unspecified, loopback and IPv4-compatible
+  ["::", 96, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const privateRanges = new net.BlockList();
+for (const [address, prefix, family] of PRIVATE_RANGES) {
+  privateRanges.addSubnet(address, prefix, family);
+}
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return privateRanges.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Whether a url hostname is a private IP literal or a local name. Names are
+ * only known to be public once they resolve, see publicLookup.
+ * @param {string} host - URL#hostname, IPv6 in brackets
+ * @returns {boolean}
+ */
+export function isPrivateHost(host) {
+  const name = host.toLowerCase().replace(/^\[|\]$/g, "");
+  if (name === "localhost" || name.endsWith(".localhost")) return true;
+  return isPrivateAddress(name);
+}
+
+/**
+ * dns.lookup refusing private addresses. The agents below connect through
+ * it, so the address checked is the one the socket connects to, whatever
+ * the name resolved to.
+ */
+export function publicLookup(hostname, options, callback) {
+  if (typeof options === "function") [callback, options] = [options, {}];
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(
+        `${hostname} resolves to the private address ${blocked.address}`
+      );
+      refused.code = "EPRIVATEADDRESS";
+      return callback(refused);
+    }
+    return callback(null, address, family);
+  });
+}
+
+// Agents for requests to urls callers pass in
+export const publicAgents = {
+  httpAgent: new http.Agent({ keepAlive: true, lookup: publicLookup }),
+  httpsAgent: new https.Agent({ keepAlive: true, lookup: publicLookup }),
+};
+
+const isAllowedHost = (host) =>
+  PROXY_ALLOWED_HOSTS.includes("*") ||
+  PROXY_ALLOWED_HOSTS.some(
+    (suffix) => host === suffix || host.endsWith(`.${suffix}`)
+  );
+
+// Null when a url isn't http(s), points at a private host or isn't allowed
+function checkTarget(url) {
+  const host = url.hostname.toLowerCase();
+  if (!["http:", "https:"].includes(url.protocol)) return null;
+  if (isPrivateHost(host)) return null;
+  if (!isAllowedHost(host)) return null;
+  return url;
+}
+
+/**
+ * The ?url= a proxy route was asked to fetch.
+ * @param {object} query - req.query
+ * @returns {URL}
+ * @throws {BadInputError} - When it isn't a public http(s) url on one of
+ *   PROXY_ALLOWED_HOSTS
+ */
+export function proxyTarget(query) {
+  let url = null;
+  try {
+    url = checkTarget(new URL(query.url));
+  } catch {
+    // not a url at all
+  }
+  if (!url) {
+    throw new BadInputError(
+      "url must be a public http(s) url on one of PROXY_ALLOWED_HOSTS"
+    );
+  }
+  return url;
+}
+
+const isRedirect = (status) => [301, 302, 303, 307, 308].includes(status);
+
+/**
+ * GET for a url a proxy route was given. Connects only to public addresses
+ * and follows redirects itself, checking every hop like the first url.
+ * @param {URL} url - What proxyTarget() returned
+ * @param {object} config - axios request config
+ * @returns {Promise<{ response: object, url: URL }>} - The response and the
+ *   url it came from once redirects were followed
+ */
+export async function proxyGet(url, config = {}) {
+  const {
+    validateStatus = (status) => status >= 200 && status < 300,
+    ...rest
+  } = config;
+  let target = url;
+  for (let hop = 0; ; hop++) {
+    let response;
+    try {
+      response = await httpGet(target.toString(), {
+        ...rest,
+        ...publicAgents,
+        maxRedirects: 0,
+        validateStatus: (status) => isRedirect(status) || validateStatus(status),
+      });
+    } catch (error) {
+      if (error.code !== "EPRIVATEADDRESS") throw error;
+      throw new BadInputError(`${target.hostname} isn't a public host`, {
+        cause: error,
+      });
+    }
+    const location = response.headers.location;
+    if (!isRedirect(response.status) || !location) {
+      return { response, url: target };
+    }
+    response.data?.destroy?.();
+    if (hop >= PROXY_MAX_REDIRECTS) {
+      throw new BadInputError(`${url} redirected too many times`);
+    }
+    const next = checkTarget(new URL(location, target));
+    if (!next) {
+      throw new BadInputError(`${target} redirected to a host it may not fetch`);
+    }
+    target = next;
+  }
+}
+
+// Referer/Origin the CDNs expect, from ?referer= and ?origin=
+export function upstreamHeaders(query) {
+  const referer = query.referer || PROXY_DEFAULT_REFERER;
+  return { Referer: referer, Origin: query.origin || new URL(referer).origin };
+}
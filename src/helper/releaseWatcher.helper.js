@@ -0,0 +1,152 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+import extractQtip from "../extractors/qtip.extractor.js";
+import JsonFileStore from "./stores/json.store.js";
+import {
+  RELEASE_STATE_FILE,
+  RELEASE_CHECK_INTERVAL,
+} from "../configs/release.config.js";
+import {
+  resolveProviders,
+  callProviders,
+} from "../providers/providerRegistry.js";
+
+/**
+ * Emits "release" for every new episode found on a watched anime:
+ *   { id, type: "episode.sub" | "episode.dub", animeId, title, episode,
+ *     episodeId, episodeTitle, detectedAt }
+ */
+export const releaseEvents = new EventEmitter();
+// webhooks and every open event stream listen at once
+releaseEvents.setMaxListeners(0);
+
+// animeId -> { title, sub, dub, checkedAt }
+const state = new JsonFileStore(RELEASE_STATE_FILE, { anime: {} });
+
+// Functions returning the anime IDs someone wants watched
+const sources = new Set();
+
+// Most releases reported per language and check, a count jumping further
+// (a batch upload, a re-numbered show) only reports the latest ones
+const MAX_RELEASES = 25;
+
+/**
+ * Adds anime to watch.
+ * @param {Function} source - Returns (or resolves to) an iterable of anime IDs,
+ *   asked again before every check
+ * @returns {Function} - Stops watching them
+ */
+export function watchAnime(source) {
+  sources.add(source);
+  return () => sources.delete(source);
+}
+
+const toCount = (value) => {
+  const count = parseInt(value, 10);
+  return isNaN(count) ? null : count;
+};
+
+// Fetched without the cache: a cached list would hide fresh releases
+async function snapshot(id) {
+  const [{ data }, qtip] = await Promise.all([
+    callProviders(resolveProviders(), "episodes", id),
+    // counts are a bonus, the episode list alone still tells what's new
+    extractQtip(id.split("-").pop()).catch(() => null),
+  ]);
+  const episodes = data.episodes || [];
+  const latest = Math.max(0, ...episodes.map((episode) => episode.episode_no));
+  return {
+    title: qtip?.title || null,
+    // qtip counts what is actually released in each language, the list
+    // only says how many episodes exist
+    sub: toCount(qtip?.subCount) ?? latest,
+    dub: toCount(qtip?.dubCount) ?? 0,
+    episodes,
+  };
+}
+
+function releases(id, type, from, to, current) {
+  const events = [];
+  for (let episode = Math.max(from + 1, to - MAX_RELEASES + 1); episode <= to; episode++) {
+    const listed = current.episodes.find((item) => item.episode_no === episode);
+    events.push({
+      id: crypto.randomUUID(),
+      type,
+      animeId: id,
+      title: current.title,
+      episode,
+      episodeId: listed?.id ?? null,
+      episodeTitle: listed?.title ?? null,
+      detectedAt: new Date().toISOString(),
+    });
+  }
+  return events;
+}
+
+/**
+ * Compares an anime with its last check and emits its new episodes. The first
+ * check of an anime only records where it stands.
+ * @param {string} id - Anime ID
+ * @returns {Promise<Array<object>>} - Emitted events
+ */
+export async function checkAnime(id) {
+  const { anime } = await state.load();
+  const current = await snapshot(id);
+  const previous = anime[id];
+  const events = previous
+    ? [
+        ...releases(id, "episode.sub", previous.sub, current.sub, current),
+        ...releases(id, "episode.dub", previous.dub, current.dub, current),
+      ]
+    : [];
+  // counts never go back down, a failed qtip fetch falling back to the
+  // episode list would otherwise announce the same episodes again later
+  anime[id] = {
+    title: current.title || previous?.title || null,
+    sub: Math.max(previous?.sub ?? 0, current.sub),
+    dub: Math.max(previous?.dub ?? 0, current.dub),
+    checkedAt: new Date().toISOString(),
+  };
+  await state.save();
+  events.forEach((event) => releaseEvents.emit("release", event));
+  return events;
+}
+
+let checking = null;
+
+/**
+ * Checks every watched anime, one at a time.
+ * @returns {Promise<Array<object>>} - Emitted events
+ */
+export function checkReleases() {
+  // a slow check isn't run twice side by side
+  checking ||= (async () => {
+    const ids = new Set();
+    for (const source of sources) {
+      for (const id of (await source()) || []) ids.add(id);
+    }
+    const events = [];
+    for (const id of ids) {
+      try {
+        events.push(...(await checkAnime(id)));
+      } catch (error) {
+        console.error(`Release check of ${id} failed:`, error.message);
+      }
+    }
+    return events;
+  })().finally(() => {
+    checking = null;
+  });
+  return checking;
+}
+
+export function startReleaseWatcher(interval = RELEASE_CHECK_INTERVAL) {
+  const timer = setInterval(() => {
+    checkReleases().catch((error) =>
+      console.error("Release check failed:", error.message)
+    );
+  }, interval * 1000);
+  // the watcher alone shouldn't keep the process alive
+  timer.unref();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,11 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+// Express middleware giving everything that runs for a request access to
+// its req/res without threading them through every extractor
+export const requestContext = (req, res, next) => {
+  storage.run({ req, res }, next);
+};
+
+export const getRequestContext = () => storage.getStore();
@@ -0,0 +1,48 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// One JSON file per key. Keys are hashed so any string is a safe file name.
+class DiskStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.ready = fs.mkdir(dir, { recursive: true });
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash("sha1").update(key).digest("hex");
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async get(key) {
+    await this.ready;
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.fileFor(key), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    await this.ready;
+    const expiresAt = ttl > 0 ? Date.now() + ttl * 1000 : null;
+    const file = this.fileFor(key);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ key, value, expiresAt }));
+    await fs.rename(tmpFile, file);
+  }
+
+  async delete(key) {
+    await this.ready;
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+}
+
+export default DiskStore;
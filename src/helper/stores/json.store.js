@@ -0,0 +1,48 @@
+import fs from "fs/promises";
+import path from "path";
+
+// A whole JSON document kept in memory and written back to one file.
+// Callers change `data` in place after load() and then call save().
+class JsonFileStore {
+  constructor(file, initial = {}) {
+    this.file = file;
+    this.initial = initial;
+    this.data = null;
+    this.loading = null;
+    this.saving = Promise.resolve();
+  }
+
+  load() {
+    this.loading ||= (async () => {
+      try {
+        this.data = {
+          ...structuredClone(this.initial),
+          ...JSON.parse(await fs.readFile(this.file, "utf8")),
+        };
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          console.error(`Could not read ${this.file}:`, error.message);
+        }
+        this.data = structuredClone(this.initial);
+      }
+      return this.data;
+    })();
+    return this.loading;
+  }
+
+  // Writes are chained so two saves never interleave on the same tmp file
+  save() {
+    const write = this.saving.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(this.data, null, 2));
+      await fs.rename(tmpFile, this.file);
+    });
+    this.saving = write.catch((error) => {
+      console.error(`Could not write ${this.file}:`, error.message);
+    });
+    return this.saving;
+  }
+}
+
+export default JsonFileStore;
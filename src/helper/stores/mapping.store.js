@@ -0,0 +1,136 @@
+import fs from "fs/promises";
+import JsonFileStore from "./json.store.js";
+
+const FIELDS = ["anilistId", "malId", "hiAnimeId"];
+
+const normalize = (field, value) =>
+  field === "hiAnimeId" ? String(value) : Number(value);
+
+// Mappings live in memory and are written back to a single JSON file.
+// Overrides are re-read whenever their file changes, so corrections apply
+// without a restart. They are keyed by AniList ID, or by MAL ID as
+// "mal:<id>" for entries only known by that.
+class MappingStore extends JsonFileStore {
+  constructor(file, overridesFile) {
+    super(file, { mappings: [] });
+    this.overridesFile = overridesFile;
+    this.entries = null;
+    this.ready = null;
+    this.overrides = [];
+    this.overridesMtime = 0;
+    // malId -> anilistId of MAL keyed overrides, once looked up
+    this.malLinks = new Map();
+  }
+
+  // One read shared by every caller, `entries` is only set once it's parsed
+  // so nobody sees, or saves, a half loaded store
+  load() {
+    this.ready ||= super.load().then((data) => {
+      this.entries = new Map(
+        (data.mappings || []).map((entry) => [entry.anilistId, entry])
+      );
+    });
+    return this.ready;
+  }
+
+  async loadOverrides() {
+    let stat;
+    try {
+      stat = await fs.stat(this.overridesFile);
+    } catch {
+      this.overrides = [];
+      return;
+    }
+    if (stat.mtimeMs === this.overridesMtime) return;
+    try {
+      const data = JSON.parse(await fs.readFile(this.overridesFile, "utf8"));
+      this.overrides = Object.entries(data).map(([key, value]) => {
+        const fields = typeof value === "string" ? { hiAnimeId: value } : value;
+        const malKey = key.match(/^mal:(\d+)$/i);
+        if (!malKey) {
+          return {
+            anilistId: Number(key),
+            ...fields,
+            confidence: 1,
+            source: "override",
+          };
+        }
+        const malId = Number(malKey[1]);
+        const anilistId = fields.anilistId ?? this.malLinks.get(malId);
+        return {
+          ...(anilistId !== undefined && { anilistId: Number(anilistId) }),
+          ...fields,
+          malId,
+          confidence: 1,
+          source: "override",
+        };
+      });
+      this.overridesMtime = stat.mtimeMs;
+    } catch (error) {
+      // keep the previous overrides while the file is being edited
+      console.error("Invalid mapping overrides file:", error.message);
+    }
+  }
+
+  /**
+   * Finds the mapping whose `field` equals `value`, overrides first.
+   * @param {"anilistId"|"malId"|"hiAnimeId"} field
+   * @param {number|string} value
+   * @returns {Promise<object|null>} - { anilistId, malId, hiAnimeId, confidence, source, updatedAt }
+   */
+  async get(field, value) {
+    if (!FIELDS.includes(field)) {
+      throw new Error(`Unknown mapping field ${field}`);
+    }
+    await Promise.all([this.load(), this.loadOverrides()]);
+    const wanted = normalize(field, value);
+    const matches = (entry) =>
+      entry[field] !== undefined && normalize(field, entry[field]) === wanted;
+    const override = this.overrides.find(matches);
+    if (override) return override;
+    // an overridden anilistId no longer owns what the matcher stored for it
+    const overridden = new Set(this.overrides.map((entry) => entry.anilistId));
+    for (const entry of this.entries.values()) {
+      if (matches(entry) && !overridden.has(entry.anilistId)) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Tells MAL keyed overrides without an AniList ID which entry they
+   * correct, so the AniList lookups of that ID use them too.
+   * @param {number} malId
+   * @param {number} anilistId
+   */
+  linkMalId(malId, anilistId) {
+    this.malLinks.set(Number(malId), Number(anilistId));
+    for (const override of this.overrides) {
+      if (override.malId === Number(malId) && override.anilistId === undefined) {
+        override.anilistId = Number(anilistId);
+      }
+    }
+  }
+
+  // Replaces what was stored for the AniList ID, so nothing of an earlier
+  // match (its reason, candidates or HiAnime ID) outlives it
+  async set(entry) {
+    await this.load();
+    const stored = { ...entry, updatedAt: new Date().toISOString() };
+    this.entries.set(entry.anilistId, stored);
+    await this.save();
+    return stored;
+  }
+
+  async delete(anilistId) {
+    await this.load();
+    this.entries.delete(Number(anilistId));
+    await this.save();
+  }
+
+  save() {
+    this.data.mappings = [...this.entries.values()];
+    return super.save();
+  }
+}
+
+export default MappingStore;
@@ -0,0 +1,32 @@
+import axios from "axios";
+
+// Talks to an external cache server: GET {url}/{key}, POST {url} { key, value, ttl }
+class RemoteStore {
+  constructor(url) {
+    this.url = url;
+  }
+
+  async get(key) {
+    try {
+      const response = await axios.get(
+        `${this.url}/${encodeURIComponent(key)}`
+      );
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async set(key, value, ttl) {
+    await axios.post(this.url, { key, value, ttl });
+  }
+
+  async delete(key) {
+    await axios.delete(`${this.url}/${encodeURIComponent(key)}`);
+  }
+}
+
+export default RemoteStore;
@@ -0,0 +1,203 @@
+// Cues are { start, end, text, settings } with times in milliseconds and
+// text lines joined by "\n". Parsing keeps the inline tags of the source,
+// every writer reduces them to what its format understands.
+
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+
+function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(value);
+  if (!match) return null;
+  const [, hours = 0, minutes, seconds, fraction] = match;
+  return (
+    ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 +
+    Number(fraction.padEnd(3, "0"))
+  );
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+function splitTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  return {
+    hours: Math.floor(total / 3600000),
+    minutes: Math.floor(total / 60000) % 60,
+    seconds: Math.floor(total / 1000) % 60,
+    millis: total % 1000,
+  };
+}
+
+const formatTime = (ms, separator) => {
+  const { hours, minutes, seconds, millis } = splitTime(ms);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+};
+
+// ASS wants h:mm:ss.cc
+const formatAssTime = (ms) => {
+  const { hours, minutes, seconds, millis } = splitTime(ms);
+  return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(Math.floor(millis / 10))}`;
+};
+
+export function detectFormat(text) {
+  if (/^﻿?WEBVTT/.test(text)) return "vtt";
+  if (/^\s*\[Script Info\]/im.test(text) || /^Dialogue:/m.test(text)) {
+    return "ass";
+  }
+  return "srt";
+}
+
+// VTT and SRT share the block layout: optional id, timing line, text lines
+function parseBlocks(text) {
+  const cues = [];
+  for (const block of text.replace(/\r\n?/g, "\n").split(/\n{2,}/)) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1) continue;
+    const [from, rest = ""] = lines[timingIndex].split("-->");
+    const [to, ...settings] = rest.trim().split(/\s+/);
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(to);
+    if (start === null || end === null) continue;
+    cues.push({
+      start,
+      end,
+      text: lines.slice(timingIndex + 1).join("\n").trim(),
+      settings: settings.join(" "),
+    });
+  }
+  return cues;
+}
+
+function parseAss(text) {
+  const cues = [];
+  let fields = null;
+  let inEvents = false;
+  for (const line of text.replace(/\r\n?/g, "\n").split("\n")) {
+    if (/^\[.*\]$/.test(line.trim())) {
+      inEvents = /^\[Events\]$/i.test(line.trim());
+      continue;
+    }
+    if (!inEvents) continue;
+    if (line.startsWith("Format:")) {
+      fields = line.slice(7).split(",").map((field) => field.trim());
+      continue;
+    }
+    if (!line.startsWith("Dialogue:") || !fields) continue;
+    // only the last field (Text) may contain commas
+    const values = line.slice(9).split(",");
+    const row = Object.fromEntries(
+      fields.map((field, index) => [
+        field,
+        index === fields.length - 1
+          ? values.slice(index).join(",")
+          : values[index]?.trim(),
+      ])
+    );
+    const start = parseTimestamp(row.Start);
+    const end = parseTimestamp(row.End);
+    if (start === null || end === null) continue;
+    cues.push({
+      start,
+      end,
+      text: row.Text.replace(/\\[Nn]/g, "\n")
+        .replace(/\{\\i1\}/g, "<i>")
+        .replace(/\{\\i0?\}/g, "</i>")
+        .replace(/\{\\b1\}/g, "<b>")
+        .replace(/\{\\b0?\}/g, "</b>")
+        .replace(/\{[^}]*\}/g, "")
+        .trim(),
+      settings: "",
+    });
+  }
+  return cues;
+}
+
+/**
+ * Parses a VTT, SRT or ASS subtitle file into cues.
+ * @param {string} text - Subtitle file contents
+ * @returns {Array<{ start: number, end: number, text: string, settings: string }>}
+ */
+export function parseSubtitles(text) {
+  return detectFormat(text) === "ass" ? parseAss(text) : parseBlocks(text);
+}
+
+/**
+ * Moves every cue by `offsetMs`, dropping the ones that end up before 0.
+ * @param {Array<object>} cues - Parsed cues
+ * @param {number} offsetMs - Shift in milliseconds, may be negative
+ * @returns {Array<object>}
+ */
+export function shiftCues(cues, offsetMs) {
+  if (!offsetMs) return cues;
+  return cues
+    .map((cue) => ({
+      ...cue,
+      start: Math.max(0, cue.start + offsetMs),
+      end: cue.end + offsetMs,
+    }))
+    .filter((cue) => cue.end > 0);
+}
+
+// SRT players only know <b>, <i>, <u> and <font>
+const srtText = (text) => text.replace(/<(?!\/?(b|i|u|font)\b)[^>]*>/g, "");
+
+const assText = (text) =>
+  text
+    .replace(/<i>/g, "{\\i1}")
+    .replace(/<\/i>/g, "{\\i0}")
+    .replace(/<b>/g, "{\\b1}")
+    .replace(/<\/b>/g, "{\\b0}")
+    .replace(/<u>/g, "{\\u1}")
+    .replace(/<\/u>/g, "{\\u0}")
+    .replace(/<[^>]*>/g, "")
+    .replace(/\n/g, "\\N");
+
+const timing = (cue, separator) =>
+  `${formatTime(cue.start, separator)} --> ${formatTime(cue.end, separator)}`;
+
+export function toVtt(cues) {
+  const blocks = cues.map((cue) => {
+    const line = [timing(cue, "."), cue.settings].filter(Boolean).join(" ");
+    return `${line}\n${cue.text}`;
+  });
+  return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+}
+
+export function toSrt(cues) {
+  return (
+    cues
+      .map(
+        (cue, index) =>
+          `${index + 1}\n${timing(cue, ",")}\n${srtText(cue.text)}`
+      )
+      .join("\n\n") + "\n"
+  );
+}
+
+export function toAss(cues) {
+  const header = [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    "PlayResX: 1920",
+    "PlayResY: 1080",
+    "WrapStyle: 0",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    "Style: Default,Arial,64,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1",
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ];
+  const events = cues.map((cue) => {
+    const start = formatAssTime(cue.start);
+    const end = formatAssTime(cue.end);
+    return `Dialogue: 0,${start},${end},Default,,0,0,0,,${assText(cue.text)}`;
+  });
+  return [...header, ...events].join("\n") + "\n";
+}
+
+export const SUBTITLE_FORMATS = {
+  vtt: { write: toVtt, contentType: "text/vtt" },
+  srt: { write: toSrt, contentType: "application/x-subrip" },
+  ass: { write: toAss, contentType: "text/x-ssa" },
+};
@@ -0,0 +1,91 @@
+import { BadInputError } from "./errors.helper.js";
+
+// Timezones are either an IANA name ("Europe/Paris") or a fixed UTC offset
+// ("+05:30", "-0330", "UTC+9"). Offsets are minutes east of UTC.
+
+const OFFSET = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parses a timezone query value.
+ * @param {string} value - IANA name or UTC offset
+ * @returns {{ name: string, offset: number|null }} - `offset` is set for fixed
+ *   offsets, null for IANA zones whose offset depends on the date
+ */
+export function parseTimezone(value) {
+  const name = String(value).trim();
+  const fixed = OFFSET.exec(name);
+  if (fixed) {
+    const [, sign, hours, minutes = "0"] = fixed;
+    const offset = (sign === "-" ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+    if (Math.abs(offset) > 14 * 60 || Number(minutes) > 59) {
+      throw new BadInputError(`Invalid UTC offset: ${name}`);
+    }
+    return { name: formatOffset(offset), offset };
+  }
+  try {
+    const { timeZone } = new Intl.DateTimeFormat("en-US", {
+      timeZone: name,
+    }).resolvedOptions();
+    return { name: timeZone, offset: null };
+  } catch {
+    throw new BadInputError(
+      `Invalid timezone: ${name}. Use an IANA name (Europe/Paris) or an offset (+05:30)`
+    );
+  }
+}
+
+/**
+ * Offset of a zone at a given instant.
+ * @param {{ name: string, offset: number|null }} zone
+ * @param {Date} [instant]
+ * @returns {number} - minutes east of UTC
+ */
+export function zoneOffset(zone, instant = new Date()) {
+  if (zone.offset !== null) return zone.offset;
+  const part = new Intl.DateTimeFormat("en-US", {
+    timeZone: zone.name,
+    timeZoneName: "longOffset",
+  })
+    .formatToParts(instant)
+    .find((item) => item.type === "timeZoneName").value;
+  // "GMT+05:30", or plain "GMT" for UTC itself
+  const found = /([+-])(\d{2}):(\d{2})/.exec(part);
+  if (!found) return 0;
+  return (found[1] === "-" ? -1 : 1) * (Number(found[2]) * 60 + Number(found[3]));
+}
+
+// Offset a zone uses on a calendar day (taken at midday, clear of DST switches)
+export const dayOffset = (zone, date) =>
+  zoneOffset(zone, new Date(`${date}T12:00:00Z`));
+
+/**
+ * Calendar date (YYYY-MM-DD) an instant falls on in a zone.
+ * @param {{ name: string, offset: number|null }} zone
+ * @param {Date} [instant]
+ * @returns {string}
+ */
+export function zoneDate(zone, instant = new Date()) {
+  const shifted = new Date(instant.getTime() + zoneOffset(zone, instant) * 60000);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// 330 -> "+05:30"
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const absolute = Math.abs(minutes);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+export function isValidDate(date) {
+  if (!DATE.test(String(date))) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+export function addDays(date, days) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+}
@@ -1,10 +1,10 @@
-import axios from 'axios';
+import { httpGet } from './http.helper.js';
 import * as cheerio from 'cheerio';
 import { v1_base_url } from '../utils/base_v1.js';
 
 export default async function extractToken(url) {
   try {
-    const { data: html } = await axios.get(url, {
+    const { data: html } = await httpGet(url, {
       headers: {
         Referer: `https://${v1_base_url}/`
       }
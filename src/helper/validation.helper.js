@@ -0,0 +1,150 @@
+import { ValidationError } from "./errors.helper.js";
+import { isValidDate, parseTimezone } from "./timezone.helper.js";
+
+// Rules are plain objects, so the same schema that checks a request can be
+// turned into API docs:
+//   { type: "string" | "integer" | "number" | "array", required, enum,
+//     caseInsensitive, aliases, pattern, format, maxLength, min, max, items,
+//     minItems, maxItems, description, example, default }
+// `aliases` are accepted next to `enum` without being advertised (the
+// numeric ids hianime uses for its filter values).
+
+export const string = (options = {}) => ({ type: "string", ...options });
+export const integer = (options = {}) => ({ type: "integer", ...options });
+export const number = (options = {}) => ({ type: "number", ...options });
+export const date = (options = {}) => string({ format: "date", ...options });
+export const timezone = (options = {}) =>
+  string({ format: "timezone", ...options });
+// Absolute http(s) url
+export const url = (options = {}) => string({ format: "uri", ...options });
+export const oneOf = (values, options = {}) =>
+  string({ enum: values, caseInsensitive: true, ...options });
+// Comma separated values, each checked against `items`
+export const list = (items, options = {}) => ({
+  type: "array",
+  items,
+  ...options,
+});
+
+/**
+ * Enum of a filter.maping.js table: its names (any case) or their ids.
+ * @param {object} mapping - NAME -> id
+ * @param {object} [options] - Other rule fields
+ * @returns {object} - Rule
+ */
+export const mapped = (mapping, options = {}) =>
+  oneOf(
+    Object.keys(mapping).map((name) => name.toLowerCase()),
+    { aliases: Object.values(mapping).filter(Boolean), ...options }
+  );
+
+function isTimezone(value) {
+  try {
+    parseTimezone(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+const FORMATS = {
+  date: [isValidDate, "must be a date (YYYY-MM-DD)"],
+  uri: [isHttpUrl, "must be an absolute http(s) url"],
+  timezone: [isTimezone, "must be an IANA timezone or a UTC offset (+05:30)"],
+};
+
+const isEmpty = (value) => value === undefined || value === "";
+
+// Message for a value breaking its rule, null when it is fine
+function check(rule, value) {
+  if (rule.type === "array") {
+    const items = String(value)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    if (rule.minItems && items.length < rule.minItems) {
+      return `must list at least ${rule.minItems} value(s)`;
+    }
+    if (rule.maxItems && items.length > rule.maxItems) {
+      return `must list at most ${rule.maxItems} values`;
+    }
+    for (const item of items) {
+      const message = check(rule.items, item);
+      if (message) return `value "${item}" ${message}`;
+    }
+    return null;
+  }
+
+  if (rule.type === "integer" || rule.type === "number") {
+    const parsed = Number(value);
+    if (rule.type === "integer" && !/^-?\d+$/.test(value)) {
+      return "must be an integer";
+    }
+    if (!Number.isFinite(parsed)) return "must be a number";
+    if (rule.min !== undefined && parsed < rule.min) {
+      return `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && parsed > rule.max) {
+      return `must be at most ${rule.max}`;
+    }
+    return null;
+  }
+
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.enum) {
+    const wanted = rule.caseInsensitive ? value.trim().toLowerCase() : value;
+    const allowed = [...rule.enum, ...(rule.aliases || [])].map((item) =>
+      rule.caseInsensitive ? item.toLowerCase() : item
+    );
+    if (!allowed.includes(wanted)) {
+      return `must be one of ${rule.enum.join(", ")}`;
+    }
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `must match ${rule.pattern.source}`;
+  }
+  const format = FORMATS[rule.format];
+  if (format && !format[0](value)) return format[1];
+  return null;
+}
+
+// Express names the location of a value, OpenAPI the one of a parameter
+const LOCATIONS = { params: "path", query: "query" };
+
+/**
+ * Checks a request's path params and query against a route schema and
+ * throws a ValidationError listing every field that breaks its rule.
+ * Fields the schema doesn't know are left alone.
+ * @param {{ params?: object, query?: object }} schema - Field -> rule, per location
+ * @param {object} req - Express request
+ */
+export function validateRequest(schema, req) {
+  const details = [];
+  for (const [location, where] of Object.entries(LOCATIONS)) {
+    for (const [field, rule] of Object.entries(schema[location] || {})) {
+      let value = req[location]?.[field];
+      // ?ids=a&ids=b is the same list as ?ids=a,b
+      if (Array.isArray(value) && rule.type === "array") value = value.join(",");
+      let message = null;
+      if (isEmpty(value)) {
+        message = rule.required ? "is required" : null;
+      } else if (typeof value !== "string") {
+        message = "must be given once, as a plain value";
+      } else {
+        message = check(rule, value);
+      }
+      if (message) details.push({ field, in: where, message });
+    }
+  }
+  if (details.length) throw new ValidationError(details);
+}
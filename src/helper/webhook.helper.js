@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import axios from "axios";
+import JsonFileStore from "./stores/json.store.js";
+import { publicAgents } from "./proxy.helper.js";
+import { releaseEvents, watchAnime } from "./releaseWatcher.helper.js";
+import {
+  WEBHOOK_FILE,
+  WEBHOOK_RETRIES,
+  WEBHOOK_RETRY_DELAY,
+  WEBHOOK_TIMEOUT,
+} from "../configs/webhook.config.js";
+
+// { subscriptions: [{ id, url, animeIds, language, secret, createdAt,
+//   lastDelivery }] }
+export const webhooks = new JsonFileStore(WEBHOOK_FILE, { subscriptions: [] });
+
+// Deliveries go to urls subscribers chose, not to upstream: no browser
+// headers, retries or mirrors of the shared client, no redirects, and only
+// to addresses that resolve public when connecting
+const client = axios.create({
+  ...publicAgents,
+  maxRedirects: 0,
+  timeout: WEBHOOK_TIMEOUT,
+});
+
+/**
+ * Signature sent in X-Webhook-Signature: an HMAC-SHA256 of
+ * "<timestamp>.<body>" keyed with the subscription's secret.
+ * @param {string} secret
+ * @param {string|number} timestamp - X-Webhook-Timestamp value
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+const wants = (subscription, event) =>
+  subscription.animeIds.includes(event.animeId) &&
+  (subscription.language === "both" ||
+    event.type === `episode.${subscription.language}`);
+
+async function recordDelivery(id, lastDelivery) {
+  const { subscriptions } = await webhooks.load();
+  const subscription = subscriptions.find((item) => item.id === id);
+  if (!subscription) return;
+  subscription.lastDelivery = lastDelivery;
+  await webhooks.save();
+}
+
+/**
+ * POSTs an event to a subscription, retrying with a doubling delay. Every
+ * attempt of an event carries the same X-Webhook-Id so receivers can drop
+ * duplicates.
+ * @param {object} subscription
+ * @param {object} event - Release event
+ * @param {number} [attempt]
+ */
+export async function deliver(subscription, event, attempt = 0) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const { status } = await client.post(subscription.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": event.id,
+        "X-Webhook-Event": event.type,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(subscription.secret, timestamp, body),
+      },
+    });
+    await recordDelivery(subscription.id, {
+      eventId: event.id,
+      status,
+      attempt: attempt + 1,
+      at: new Date().toISOString(),
+    });
+  } catch (error) {
+    const status = error.response?.status ?? null;
+    console.error(
+      `Webhook ${subscription.id} delivery of ${event.id} failed (attempt ${attempt + 1}):`,
+      error.message
+    );
+    await recordDelivery(subscription.id, {
+      eventId: event.id,
+      status,
+      error: error.message,
+      attempt: attempt + 1,
+      at: new Date().toISOString(),
+    });
+    // a url resolving to a private address is refused on every attempt
+    if (attempt >= WEBHOOK_RETRIES || error.code === "EPRIVATEADDRESS") return;
+    const delay = WEBHOOK_RETRY_DELAY * 1000 * 2 ** attempt;
+    setTimeout(async () => {
+      // the subscription may have been deleted in the meantime
+      const { subscriptions } = await webhooks.load();
+      const current = subscriptions.find((item) => item.id === subscription.id);
+      if (current) deliver(current, event, attempt + 1);
+    }, delay).unref();
+  }
+}
+
+async function dispatch(event) {
+  const { subscriptions } = await webhooks.load();
+  subscriptions
+    .filter((subscription) => wants(subscription, event))
+    .forEach((subscription) => deliver(subscription, event));
+}
+
+// Watches every subscribed anime and delivers their releases
+export function startWebhooks() {
+  watchAnime(async () => {
+    const { subscriptions } = await webhooks.load();
+    return subscriptions.flatMap((subscription) => subscription.animeIds);
+  });
+  releaseEvents.on("release", (event) => {
+    dispatch(event).catch((error) =>
+      console.error("Webhook dispatch failed:", error.message)
+    );
+  });
+}
@@ -1,4 +1,4 @@
-import axios from "axios";
+import { httpGet, httpPost } from "../helper/http.helper.js";
 import { v3_base_url } from "../utils/base_v3.js";
 
 const DEFAULT_BASE_URL = `https://${v3_base_url}`;
@@ -16,7 +16,7 @@ class AniplayExtractor {
   }
 
   async fetchHtml(url) {
-    const { data } = await axios.get(url);
+    const { data } = await httpGet(url);
     return data;
   }
 
@@ -78,7 +78,7 @@ class AniplayExtractor {
     ];
 
     try {
-      const res = await axios.post(url, payload, {
+      const res = await httpPost(url, payload, {
         headers: {
           "Next-Action": nextAction.watch,
         },
@@ -0,0 +1,82 @@
+import { decryptSources_v1 } from "./decrypt_v1.decryptor.js";
+import { decryptAllServers } from "./decryptAllServers.decryptor.js";
+import { DECRYPTORS } from "../../configs/decrypt.config.js";
+
+/**
+ * Every decryptor takes the episode id, the requested server
+ * ({ type, data_id, serverName }) and all servers of the episode, and resolves
+ * to a streamingLink ({ id, type, link: { file, type }, tracks, ... }). A
+ * missing result or an empty link.file counts as a failure. `link.server`
+ * names the server that was decrypted.
+ */
+const decryptors = {
+  // the embed strategies (MegaCloud emulation, player keys, external
+  // service) on the requested server
+  v1: (epID, server) =>
+    decryptSources_v1(epID, server.data_id, server.serverName, server.type),
+  // last resort: another server of the same type
+  allServers: decryptAllServers,
+};
+
+const unknown = DECRYPTORS.filter((name) => !decryptors[name]);
+if (unknown.length) {
+  console.error(`Unknown decryptors in DECRYPTORS: ${unknown.join(", ")}`);
+}
+
+// "serverName:type" -> { decryptor, server, at } of the last successful
+// decryption, `server` being the one allServers fell back to
+const lastSuccess = new Map();
+
+const serverKey = (server) =>
+  `${server.serverName.toLowerCase()}:${server.type.toLowerCase()}`;
+
+// Configured order, with the decryptor that last worked for the server first.
+// allServers never decrypts the requested server, so it stays where it is
+// and the server itself keeps being tried first.
+function orderFor(server) {
+  const order = DECRYPTORS.filter((name) => decryptors[name]);
+  const last = lastSuccess.get(serverKey(server))?.decryptor;
+  return last && last !== "allServers" && order.includes(last)
+    ? [last, ...order.filter((name) => name !== last)]
+    : order;
+}
+
+/**
+ * Tries the decryptors in order until one yields a playable link.
+ * @param {string} epID - Episode id
+ * @param {object} server - Requested server from parseServers()
+ * @param {Array<object>} servers - All servers of the episode
+ * @returns {Promise<object>} - streamingLink with the `decryptor` that
+ *   produced it and the `server` it decrypted
+ */
+export async function decryptServer(epID, server, servers) {
+  const failures = [];
+  for (const name of orderFor(server)) {
+    try {
+      const streamingLink = await decryptors[name](epID, server, servers);
+      if (streamingLink?.link?.file) {
+        const decrypted = streamingLink.server ?? server.serverName;
+        lastSuccess.set(serverKey(server), {
+          decryptor: name,
+          server: decrypted,
+          at: new Date().toISOString(),
+        });
+        return { ...streamingLink, server: decrypted, decryptor: name };
+      }
+      failures.push(`${name}: no sources`);
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+  throw new Error(
+    `No decryptor could decrypt ${server.serverName} (${server.type}) ` +
+      `of episode ${epID} (${failures.join("; ")})`
+  );
+}
+
+export function getDecryptorStats() {
+  return {
+    order: DECRYPTORS,
+    servers: Object.fromEntries(lastSuccess),
+  };
+}
@@ -1,22 +1,36 @@
-// this is kept as backup in case megacloud's architecture rollback to it's previous architecture
+import { decryptSources_v1 } from "./decrypt_v1.decryptor.js";
 
-
-// import decryptMegacloud from "./megacloud.decryptor.js";
-
-// export async function decryptAllServers(data) {
-//   const promises = data.map(async (server) => {
-//     try {
-//       if (
-//         server.type === "sub" ||
-//         server.type === "dub" ||
-//         server.type === "raw"
-//       ) {
-//         return await decryptMegacloud(server.id, server.name, server.type);
-//       }
-//     } catch (error) {
-//       console.error(`Error decrypting server ${server.id}:`, error);
-//       return null;
-//     }
-//   });
-//   return Promise.all(promises);
-// }
+/**
+ * Decrypts the other servers of the requested one's type, one at a time,
+ * until one yields a playable link.
+ * @param {string} epID - Episode id
+ * @param {object} server - Requested server ({ type, data_id, serverName })
+ * @param {Array<object>} servers - All servers of the episode
+ * @returns {Promise<object>} - streamingLink of the first server that
+ *   decrypted, its `server` naming that one
+ */
+export async function decryptAllServers(epID, server, servers) {
+  const others = servers.filter(
+    (item) => item.type === server.type && item.data_id !== server.data_id
+  );
+  const failures = [];
+  for (const other of others) {
+    try {
+      const link = await decryptSources_v1(
+        epID,
+        other.data_id,
+        other.serverName,
+        other.type
+      );
+      if (link?.link?.file) return link;
+      failures.push(`${other.serverName}: no sources`);
+    } catch (error) {
+      failures.push(`${other.serverName}: ${error.message}`);
+    }
+  }
+  throw new Error(
+    others.length
+      ? `no other ${server.type} server decrypted (${failures.join("; ")})`
+      : `no other ${server.type} server`
+  );
+}
@@ -1,68 +1,73 @@
-// this is kept as backup in case megacloud's architecture rollback to it's previous architecture
+// MegaCloud's previous scheme: the sources are AES encrypted with a key
+// spliced into the ciphertext at offsets hidden in the player script.
+// Kept as an in-process strategy in case MegaCloud rolls back to it.
 
+import CryptoJS from "crypto-js";
+import { httpGet } from "../../helper/http.helper.js";
+import fetchScript from "../../helper/fetchScript.helper.js";
+import getKeys from "../../helper/getKey.helper.js";
+import { PLAYER_SCRIPT_URL } from "../../configs/player_v1.config.js";
 
-// import axios from "axios";
-// import CryptoJS from "crypto-js";
-// import { v2_base_url } from "../../utils/base_v2.js";
-// import fetchScript from "../../helper/fetchScript.helper.js";
-// import getKeys from "../../helper/getKey.helper.js";
-// import { PLAYER_SCRIPT_URL } from "../../configs/player_v2.config.js";
+// The player script only changes on MegaCloud deploys
+const KEYS_TTL = 60 * 60 * 1000;
+let keys = null;
+let keysFetchedAt = 0;
 
-// async function decryptSources_v2(id, name, type) {
-//   try {
-//     const [{ data: sourcesData }, decryptKey_v2] = await Promise.all([
-//       axios.get(`https://${v2_base_url}/ajax/episode/sources?id=${id}`),
-//       getKeys(await fetchScript(PLAYER_SCRIPT_URL)),
-//     ]);
-//     const ajaxResp = sourcesData.link;
-//     const [hostname] = /^(https?:\/\/(?:www\.)?[^\/\?]+)/.exec(ajaxResp) || [];
-//     const [_, sourceId] = /\/([^\/\?]+)\?/.exec(ajaxResp) || [];
-//     const { data: source } = await axios.get(
-//       `${hostname}/ajax/embed-6-v2/getSources?id=${sourceId}`
-//     );
+async function playerKeys() {
+  if (!keys || Date.now() - keysFetchedAt > KEYS_TTL) {
+    keys = getKeys(await fetchScript(PLAYER_SCRIPT_URL));
+    keysFetchedAt = Date.now();
+  }
+  return keys;
+}
 
-//     if (source.encrypted === true) {
-//       const sourcesArray = source.sources.split("");
-//       let extractedKey = "";
-//       let currentIndex = 0;
+function decrypt(encrypted, keyIndexes) {
+  const sourcesArray = encrypted.split("");
+  let extractedKey = "";
+  let currentIndex = 0;
 
-//       for (const index of decryptKey_v2) {
-//         const start = index[0] + currentIndex;
-//         const end = start + index[1];
+  for (const index of keyIndexes) {
+    const start = index[0] + currentIndex;
+    const end = start + index[1];
 
-//         for (let i = start; i < end; i++) {
-//           extractedKey += sourcesArray[i];
-//           sourcesArray[i] = "";
-//         }
-//         currentIndex += index[1];
-//       }
+    for (let i = start; i < end; i++) {
+      extractedKey += sourcesArray[i];
+      sourcesArray[i] = "";
+    }
+    currentIndex += index[1];
+  }
 
-//       const decrypted = CryptoJS.AES.decrypt(
-//         sourcesArray.join(""),
-//         extractedKey
-//       ).toString(CryptoJS.enc.Utf8);
-//       const decryptedSources = JSON.parse(decrypted);
-//       source.sources = null;
-//       source.sources = {
-//         file: decryptedSources[0].file,
-//         type: "hls",
-//       };
-//     }
-//     if (source.hasOwnProperty("server")) {
-//       delete source.server;
-//     }
-//     return {
-//       id: id,
-//       type: type,
-//       link: source.sources,
-//       tracks: source.tracks,
-//       intro: source.intro,
-//       outro: source.outro,
-//       server: name,
-//     };
-//   } catch (error) {
-//     console.error("Error during decryption:", error);
-//   }
-// }
+  const decrypted = CryptoJS.AES.decrypt(
+    sourcesArray.join(""),
+    extractedKey
+  ).toString(CryptoJS.enc.Utf8);
+  return JSON.parse(decrypted);
+}
 
-// export { decryptSources_v2 };
+/**
+ * Decrypts a MegaCloud embed with the key offsets from the player script.
+ * @param {string} embedUrl - e.g. https://megacloud.blog/embed-2/e-1/{id}?k=1
+ * @returns {Promise<{ sources: Array, tracks: Array, intro: object, outro: object }>}
+ */
+export async function extractWithKeys(embedUrl) {
+  const { origin, pathname } = new URL(embedUrl);
+  const [prefix, ...rest] = pathname.split("/").filter(Boolean);
+  const sourceId = rest.pop();
+  const { data: source } = await httpGet(
+    `${origin}/${[prefix, "ajax", ...rest].join("/")}/getSources?id=${sourceId}`,
+    {
+      headers: { Referer: embedUrl, "X-Requested-With": "XMLHttpRequest" },
+    }
+  );
+
+  let sources = source.sources;
+  if (source.encrypted && typeof sources === "string") {
+    sources = decrypt(sources, await playerKeys());
+  }
+  return {
+    sources: Array.isArray(sources) ? sources : [],
+    tracks: source.tracks ?? [],
+    intro: source.intro ?? null,
+    outro: source.outro ?? null,
+  };
+}
@@ -0,0 +1,43 @@
+import { extractMegacloud } from "./megacloud.decryptor.js";
+import { extractWithKeys } from "./decrypt_v2.decryptor.js";
+import { extractExternal } from "./external.decryptor.js";
+import { DECRYPT_FALLBACK_URL } from "../../configs/decrypt.config.js";
+
+/**
+ * A strategy turns an embed url into `{ sources, tracks, intro, outro }`
+ * with `sources` as [{ file, type }], and throws when it can't.
+ */
+const strategies = [
+  { name: "megacloud", extract: extractMegacloud },
+  { name: "keys", extract: extractWithKeys },
+];
+
+if (DECRYPT_FALLBACK_URL) {
+  strategies.push({ name: "external", extract: extractExternal });
+}
+
+// Adds a strategy, tried after the built-in ones unless `first` is set
+export function registerStrategy(name, extract, { first = false } = {}) {
+  const strategy = { name, extract };
+  if (first) strategies.unshift(strategy);
+  else strategies.push(strategy);
+}
+
+/**
+ * Runs the strategies in order until one returns playable sources.
+ * @param {string} embedUrl - Embed url returned by the episode sources ajax call
+ * @returns {Promise<{ strategy: string, sources: Array, tracks: Array, intro: object, outro: object }>}
+ */
+export async function extractEmbed(embedUrl) {
+  const failures = [];
+  for (const { name, extract } of strategies) {
+    try {
+      const result = await extract(embedUrl);
+      if (result.sources?.[0]?.file) return { strategy: name, ...result };
+      failures.push(`${name}: no sources`);
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+  throw new Error(`Could not decrypt ${embedUrl} (${failures.join("; ")})`);
+}
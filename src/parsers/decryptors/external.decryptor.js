@@ -0,0 +1,21 @@
+import { httpGet } from "../../helper/http.helper.js";
+import { DECRYPT_FALLBACK_URL } from "../../configs/decrypt.config.js";
+
+/**
+ * Asks an external extraction service (DECRYPT_FALLBACK_URL) to decrypt the
+ * embed. Only used when the in-process strategies fail and a service is set.
+ * @param {string} embedUrl - Embed url returned by the episode sources ajax call
+ * @returns {Promise<{ sources: Array, tracks: Array, intro: object, outro: object }>}
+ */
+export async function extractExternal(embedUrl) {
+  const { data } = await httpGet(
+    `${DECRYPT_FALLBACK_URL}?embed_url=${encodeURIComponent(embedUrl)}`
+  );
+  const decrypted = data?.data || {};
+  return {
+    sources: decrypted.sources ?? [],
+    tracks: decrypted.tracks ?? [],
+    intro: decrypted.intro ?? null,
+    outro: decrypted.outro ?? null,
+  };
+}
@@ -3,7 +3,6 @@
 import util from "util";
 import pixels from "image-pixels";
 import cryptoJs from "crypto-js";
-import axios from "axios";
 const user_agent =
   "Mozilla/5.0 (X11; Linux x86_64; rv:133.0) Gecko/20100101 Firefox/133.0";
 import { webcrypto } from "crypto";
@@ -11,6 +10,7 @@ const crypto = webcrypto;
 import { dataURL } from "../../configs/dataUrl.js";
 // import { v1_base_url } from "../../utils/base_v1.js";
 import { v4_base_url } from "../../utils/base_v4.js";
+import { httpGet } from "../../helper/http.helper.js";
 
 let wasm;
 let arr = new Array(128).fill(void 0);
@@ -661,13 +661,13 @@ const V = async (url) => {
 };
 
 const getMeta = async (url) => {
-  let resp = await fetch(url, {
+  let { data: txt } = await httpGet(url, {
     headers: {
       UserAgent: user_agent,
       Referrer: referrer,
     },
+    responseType: "text",
   });
-  let txt = await resp.text();
   let regx = /name="j_crt" content="[A-Za-z0-9]*/g;
   let match = txt.match(regx)[0];
   let content = match.slice(match.lastIndexOf('"') + 1);
@@ -762,7 +762,7 @@ const decryptSource = async (embed_url) => {
       browser_version;
   }
 
-  let { data: resp } = await axios.get(getSourcesUrl, {
+  let { data: resp } = await httpGet(getSourcesUrl, {
     headers: {
       "User-Agent": user_agent,
       Referrer: embed_url + "&autoPlay=1&oa=0&asi=1",
@@ -788,13 +788,33 @@ const decryptSource = async (embed_url) => {
   return resp;
 };
 
+// decryptSource keeps its state in module level objects (fake_window, wasm,
+// ...), so concurrent calls would clobber each other. Run them one at a time.
+let pending = Promise.resolve();
+
+/**
+ * Decrypts a MegaCloud embed in process by emulating its WASM player.
+ * @param {string} embedUrl - Embed url returned by the episode sources ajax call
+ * @returns {Promise<{ sources: Array, tracks: Array, intro: object, outro: object }>}
+ */
+export function extractMegacloud(embedUrl) {
+  const run = pending.then(() => decryptSource(embedUrl));
+  pending = run.catch(() => {});
+  return run.then((source) => ({
+    sources: Array.isArray(source.sources) ? source.sources : [],
+    tracks: source.tracks ?? [],
+    intro: source.intro ?? null,
+    outro: source.outro ?? null,
+  }));
+}
+
 export default async function decryptMegacloud(id, name, type) {
   try {
-    const { data: sourcesData } = await axios.get(
+    const { data: sourcesData } = await httpGet(
       // `https://${v1_base_url}/ajax/v2/episode/sources?id=${id}`
       `https://${v4_base_url}/ajax/episode/sources?id=${id}`
     );
-    const source = await decryptSource(sourcesData.link);
+    const source = await extractMegacloud(sourcesData.link);
     return {
       id: id,
       type: type,
@@ -1,10 +1,10 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v1_base_url } from "../utils/base_v1.js";
 
 export async function fetchServerData_v1(id) {
   try {
-    const { data } = await axios.get(
+    const { data } = await httpGet(
       `https://${v1_base_url}/ajax/v2/episode/servers?episodeId=${id}`
     );
     const $ = cheerio.load(data.html);
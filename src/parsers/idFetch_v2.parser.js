@@ -1,10 +1,10 @@
-import axios from "axios";
+import { httpGet } from "../helper/http.helper.js";
 import * as cheerio from "cheerio";
 import { v2_base_url } from "../utils/base_v2.js";
 
 export async function fetchServerData_v2(id) {
   try {
-    const { data } = await axios.get(
+    const { data } = await httpGet(
       `https://${v2_base_url}/ajax/episode/servers?episodeId=${id}`
     );
     const $ = cheerio.load(data.html);
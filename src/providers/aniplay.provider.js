@@ -0,0 +1,146 @@
+import AniplayExtractor from "../parsers/aniplay.parser.js";
+import { v3_base_url } from "../utils/base_v3.js";
+import { ANIPLAY_HOSTS } from "../configs/provider.config.js";
+import extractAnimeInfo from "../extractors/animeInfo.extractor.js";
+import extractEpisodesList from "../extractors/episodeList.extractor.js";
+import {
+  BadInputError,
+  NotFoundError,
+  UpstreamUnavailableError,
+} from "../helper/errors.helper.js";
+
+// One extractor for the whole process, so the server action keys it
+// discovers are shared between requests
+const extractor = new AniplayExtractor();
+
+const isHls = (url) => /\.m3u8(\?|$)/i.test(url);
+
+// Picks the adaptive (or best) source, aniplay lists one entry per quality
+function pickSource(sources) {
+  const adaptive = sources.find((source) =>
+    /default|auto|adaptive/i.test(source.quality || "")
+  );
+  if (adaptive) return adaptive;
+  return [...sources].sort(
+    (a, b) => (parseInt(b.quality) || 0) - (parseInt(a.quality) || 0)
+  )[0];
+}
+
+// Aniplay answers in its own shape, this maps it onto the hianime streamingLink
+function normalize(data, { id, host, type }) {
+  const sources = data?.sources || [];
+  const source = sources.length ? pickSource(sources) : null;
+  const file = source?.url || source?.file || "";
+  return {
+    id,
+    type,
+    link: {
+      file,
+      type: source?.isM3U8 || isHls(file) ? "hls" : "mp4",
+    },
+    tracks: (data?.subtitles || []).map((subtitle) => ({
+      file: subtitle.url || subtitle.file,
+      label: subtitle.lang || subtitle.label,
+      kind: "captions",
+    })),
+    intro: data?.intro ?? null,
+    outro: data?.outro ?? null,
+    headers: data?.headers || {},
+    server: host,
+  };
+}
+
+const hostServers = (hosts) =>
+  ["sub", "dub"].flatMap((type) =>
+    hosts.map((host) => ({
+      type,
+      data_id: null,
+      server_id: host,
+      serverName: host,
+    }))
+  );
+
+// The requested host first when it is a configured one (the server may as
+// well be a hianime name like hd-1 when aniplay is a fallback), then the rest
+const hostsFor = (server) => {
+  const requested = server?.toLowerCase();
+  return ANIPLAY_HOSTS.includes(requested)
+    ? [requested, ...ANIPLAY_HOSTS.filter((host) => host !== requested)]
+    : ANIPLAY_HOSTS;
+};
+
+const aniplay = {
+  name: "aniplay",
+  host: v3_base_url,
+
+  servers() {
+    return hostServers(ANIPLAY_HOSTS);
+  },
+
+  async serversByAnilistId() {
+    return { servers: hostServers(ANIPLAY_HOSTS) };
+  },
+
+  /**
+   * Sources straight from an AniList id, used by the /api/anilist routes.
+   * @param {number|string} anilistId - AniList media id
+   * @param {number} episodeNumber - 1 based episode number
+   * @param {string} [server] - Aniplay host, e.g. "hika"
+   * @param {string} [type] - sub or dub
+   * @returns {Promise<{ streamingLink: object, servers: Array }>}
+   */
+  async sourcesByAnilistId(anilistId, episodeNumber, server, type = "sub") {
+    const failures = [];
+    for (const host of hostsFor(server)) {
+      try {
+        const data = await extractor.fetchEpisode(
+          anilistId,
+          episodeNumber,
+          host,
+          type
+        );
+        const streamingLink = normalize(data, {
+          id: `${anilistId}/${episodeNumber}`,
+          host,
+          type,
+        });
+        if (streamingLink.link.file) {
+          return { streamingLink, servers: hostServers(ANIPLAY_HOSTS) };
+        }
+        failures.push(`${host}: no sources`);
+      } catch (error) {
+        failures.push(`${host}: ${error.message}`);
+      }
+    }
+    throw new UpstreamUnavailableError(
+      `No aniplay sources for ${anilistId} episode ${episodeNumber} ` +
+        `(${failures.join("; ")})`
+    );
+  },
+
+  // hianime episode ids are translated through the anime's AniList id
+  // (syncData) and the episode's position in the hianime list
+  async sources(episodeId, server, type, { animeId } = {}) {
+    if (!animeId) {
+      throw new BadInputError("aniplay needs the anime id of the episode");
+    }
+    const [info, list] = await Promise.all([
+      extractAnimeInfo(animeId),
+      extractEpisodesList(encodeURIComponent(animeId)),
+    ]);
+    const anilistId = info?.anilistId;
+    if (!anilistId) throw new NotFoundError(`No AniList id for ${animeId}`);
+    const episode = list?.episodes?.find((item) =>
+      item.id?.endsWith(`?ep=${episodeId}`)
+    );
+    if (!episode) throw new NotFoundError(`Episode ${episodeId} not in ${animeId}`);
+    return aniplay.sourcesByAnilistId(
+      anilistId,
+      episode.episode_no,
+      server,
+      type
+    );
+  },
+};
+
+export default aniplay;
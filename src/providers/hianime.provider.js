@@ -0,0 +1,97 @@
+import { v1_base_url } from "../utils/base_v1.js";
+import extractSearchResults from "../extractors/search.extractor.js";
+import extractAnimeInfo from "../extractors/animeInfo.extractor.js";
+import extractSeasons from "../extractors/seasons.extractor.js";
+import extractEpisodesList from "../extractors/episodeList.extractor.js";
+import {
+  extractServers,
+  extractStreamingInfo,
+} from "../extractors/streamInfo.extractor.js";
+import extractSchedule from "../extractors/schedule.extractor.js";
+import {
+  mapAnilistToHiAnimeId,
+  getEpisodesByHiAnimeId,
+} from "../utils/anilist.service.js";
+import { NotFoundError, toApiError } from "../helper/errors.helper.js";
+
+// AniList id -> hianime anime id (title matching) -> episode by position
+async function findAnilistEpisode(anilistId, episodeNumber) {
+  const hiAnimeId = await mapAnilistToHiAnimeId(anilistId).catch((error) => {
+    throw toApiError(error, NotFoundError);
+  });
+  const episodes = await getEpisodesByHiAnimeId(hiAnimeId);
+  const episode = episodes.find((item) => item.number === episodeNumber);
+  if (!episode) {
+    throw new NotFoundError(
+      `Episode ${episodeNumber} not found for anime with AniList ID ${anilistId}`
+    );
+  }
+  return { hiAnimeId, episode };
+}
+
+// Some hianime extractors return empty values for a page without content,
+// these wrappers turn that into errors the registry can fail over on.
+const hianime = {
+  name: "hianime",
+  host: v1_base_url,
+
+  async search(params) {
+    const [totalPage, data] = await extractSearchResults(params);
+    return { data, totalPage };
+  },
+
+  async info(id) {
+    const [seasons, data] = await Promise.all([
+      // seasons are an extra, their markup breaking shouldn't lose the info
+      extractSeasons(id).catch(() => []),
+      extractAnimeInfo(id),
+    ]);
+    if (!data) throw new NotFoundError(`No anime info for ${id}`);
+    return { data, seasons };
+  },
+
+  async episodes(id) {
+    const data = await extractEpisodesList(encodeURIComponent(id));
+    if (!data?.episodes?.length) throw new NotFoundError(`No episodes for ${id}`);
+    return data;
+  },
+
+  servers(episodeId) {
+    return extractServers(episodeId);
+  },
+
+  async sources(episodeId, server, type) {
+    const streamingInfo = await extractStreamingInfo(episodeId, server, type);
+    if (!streamingInfo.streamingLink?.link?.file) {
+      throw new NotFoundError(`No sources for episode ${episodeId}`);
+    }
+    return streamingInfo;
+  },
+
+  schedule(date, offset) {
+    return extractSchedule(date, offset);
+  },
+
+  async serversByAnilistId(anilistId, episodeNumber) {
+    const { hiAnimeId, episode } = await findAnilistEpisode(
+      anilistId,
+      episodeNumber
+    );
+    const servers = await extractServers(episode.episodeId);
+    if (!servers.length) {
+      throw new NotFoundError(`No servers found for episode ${episodeNumber}`);
+    }
+    return { hiAnimeId, episodeId: episode.episodeId, servers };
+  },
+
+  async sourcesByAnilistId(anilistId, episodeNumber, server, type) {
+    const { hiAnimeId, episode } = await findAnilistEpisode(
+      anilistId,
+      episodeNumber
+    );
+    const streamingInfo = await hianime.sources(episode.id, server, type);
+    return { hiAnimeId, episodeId: episode.episodeId, ...streamingInfo };
+  },
+};
+
+export default hianime;
@@ -0,0 +1,71 @@
+import { httpGet } from "../helper/http.helper.js";
+import { v2_base_url } from "../utils/base_v2.js";
+import { parseEpisodesList } from "../extractors/episodeList.extractor.js";
+import { parseServers } from "../extractors/streamInfo.extractor.js";
+import { decryptEmbed } from "../parsers/decryptors/decrypt_v1.decryptor.js";
+import { NotFoundError } from "../helper/errors.helper.js";
+
+// kaido runs the same site engine as hianime and shares its anime and
+// episode ids, only the ajax paths differ (no /v2 prefix).
+const kaido = {
+  name: "kaido",
+  host: v2_base_url,
+
+  async episodes(id) {
+    const { data } = await httpGet(
+      `https://${v2_base_url}/ajax/episode/list/${id.split("-").pop()}`,
+      {
+        headers: {
+          "X-Requested-With": "XMLHttpRequest",
+          Referer: `https://${v2_base_url}/watch/${id}`,
+        },
+      }
+    );
+    if (!data?.html) throw new NotFoundError(`No episodes for ${id}`);
+    const episodes = parseEpisodesList(data.html);
+    if (!episodes.episodes.length) {
+      throw new NotFoundError(`No episodes for ${id}`);
+    }
+    return episodes;
+  },
+
+  async servers(episodeId) {
+    const { data } = await httpGet(
+      `https://${v2_base_url}/ajax/episode/servers?episodeId=${episodeId}`,
+      { headers: { "X-Requested-With": "XMLHttpRequest" } }
+    );
+    return parseServers(data.html);
+  },
+
+  async sources(episodeId, server, type) {
+    const servers = await kaido.servers(episodeId);
+    const ofType = servers.filter(
+      (item) => item.type.toLowerCase() === type.toLowerCase()
+    );
+    // kaido names its servers differently (Vidstreaming, Vidcloud, ...), so
+    // fall back to the first server of the requested type
+    const requestedServer =
+      ofType.find(
+        (item) => item.serverName.toLowerCase() === server.toLowerCase()
+      ) || ofType[0];
+    if (!requestedServer) {
+      throw new NotFoundError(`No ${type} server found for episode ${episodeId}`);
+    }
+    const { data } = await httpGet(
+      `https://${v2_base_url}/ajax/episode/sources?id=${requestedServer.data_id}`,
+      { headers: { "X-Requested-With": "XMLHttpRequest" } }
+    );
+    const streamingLink = await decryptEmbed(
+      data?.link,
+      requestedServer.data_id,
+      requestedServer.serverName,
+      type
+    );
+    if (!streamingLink.link.file) {
+      throw new NotFoundError(`No sources for episode ${episodeId}`);
+    }
+    return { streamingLink, servers };
+  },
+};
+
+export default kaido;
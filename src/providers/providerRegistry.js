@@ -0,0 +1,127 @@
+import { DEFAULT_PROVIDERS } from "../configs/provider.config.js";
+import hianime from "./hianime.provider.js";
+import kaido from "./kaido.provider.js";
+import aniplay from "./aniplay.provider.js";
+import {
+  BadInputError,
+  NotFoundError,
+  UpstreamUnavailableError,
+  toApiError,
+} from "../helper/errors.helper.js";
+
+/**
+ * A provider is a plain object exposing any of the methods below. Every
+ * method resolves to the same shape the matching hianime route returns and
+ * throws when it has nothing to offer, so the registry can move on to the
+ * next provider in the chain.
+ *
+ *   search(params)                    -> { data, totalPage }
+ *   info(id)                          -> { data, seasons }
+ *   episodes(id)                      -> { totalEpisodes, episodes }
+ *   servers(episodeId)                -> [{ type, data_id, server_id, serverName }]
+ *   sources(episodeId, server, type, { animeId })
+ *                                     -> { streamingLink, servers }
+ *   schedule(date, offset)            -> [{ id, title, time, airingAt, episode_no, ... }]
+ *   serversByAnilistId(anilistId, episodeNumber)
+ *                                     -> { servers, hiAnimeId?, episodeId? }
+ *   sourcesByAnilistId(anilistId, episodeNumber, server, type)
+ *                                     -> { streamingLink, servers, hiAnimeId?, episodeId? }
+ */
+const providers = new Map();
+
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+registerProvider(hianime);
+registerProvider(kaido);
+registerProvider(aniplay);
+
+export function getProvider(name) {
+  return providers.get(name);
+}
+
+export function listProviders() {
+  return [...providers.values()].map((provider) => ({
+    name: provider.name,
+    host: provider.host,
+    methods: Object.keys(provider).filter(
+      (key) => typeof provider[key] === "function"
+    ),
+  }));
+}
+
+/**
+ * Turns the ?provider= query value ("kaido" or "kaido,hianime") into the
+ * ordered list of providers to try.
+ * @param {string} [query] - Comma separated provider names
+ * @returns {Array<object>}
+ */
+export function resolveProviders(query) {
+  const names = query
+    ? String(query)
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean)
+    : DEFAULT_PROVIDERS;
+  return names.map((name) => {
+    const provider = providers.get(name);
+    if (!provider) {
+      throw new BadInputError(
+        `Unknown provider "${name}". Available: ${[...providers.keys()].join(", ")}`
+      );
+    }
+    return provider;
+  });
+}
+
+const isEmpty = (result) =>
+  result === undefined ||
+  result === null ||
+  (Array.isArray(result) && result.length === 0);
+
+/**
+ * Calls `method` on each provider of the chain until one returns a result.
+ * An empty result only counts as a failure while another provider is left to
+ * try, so a genuinely empty answer (e.g. a day without releases) still comes
+ * back as is.
+ * @param {Array<object>} chain - Providers from resolveProviders()
+ * @param {string} method - Provider method name
+ * @param {...any} args - Arguments passed to the method
+ * @returns {Promise<{ provider: string, data: any }>}
+ */
+export async function callProviders(chain, method, ...args) {
+  const failures = [];
+  const statuses = [];
+  let emptyResult = null;
+  for (const provider of chain) {
+    if (typeof provider[method] !== "function") continue;
+    try {
+      const data = await provider[method](...args);
+      if (isEmpty(data)) {
+        emptyResult = emptyResult || { provider: provider.name, data };
+        throw new Error("Empty result");
+      }
+      return { provider: provider.name, data };
+    } catch (error) {
+      console.error(`Provider ${provider.name}.${method} failed:`, error.message);
+      failures.push(`${provider.name}: ${error.message}`);
+      statuses.push(toApiError(error).status);
+    }
+  }
+  if (emptyResult) return emptyResult;
+  if (failures.length === 0) {
+    throw new BadInputError(
+      `None of the requested providers support "${method}"`
+    );
+  }
+  const message = `All providers failed (${failures.join("; ")})`;
+  // every provider agreeing the thing doesn't exist is a 404, not an outage
+  if (statuses.every((status) => status === 404)) {
+    throw new NotFoundError(message);
+  }
+  throw new UpstreamUnavailableError(message);
+}
+
+// Stable name of a chain, used to keep cache entries of different chains apart
+export const chainKey = (chain) => chain.map((provider) => provider.name).join("+");
@@ -0,0 +1,604 @@
+import { routeTypes } from "./category.route.js";
+
+// What /api/openapi.json says about each route next to its apiSchemas.js
+// rules: summary, tag and the shape of `results` (or of the whole body for
+// routes answering with something other than the JSON envelope).
+// Shapes follow what the extractors return, ids and counts scraped from
+// attributes stay strings. test/apiDocs.test.js checks them against the
+// extractor snapshots.
+
+const str = { type: "string" };
+const int = { type: "integer" };
+const num = { type: "number" };
+const bool = { type: "boolean" };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const arr = (items) => ({ type: "array", items });
+const obj = (properties) => ({ type: "object", properties });
+// Objects whose keys come from upstream (labels of the info box, ...)
+const map = (values = {}) => ({ type: "object", additionalProperties: values });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+export const components = {
+  TvInfo: {
+    ...obj({
+      showType: str,
+      duration: str,
+      sub: str,
+      dub: str,
+      eps: str,
+      releaseDate: str,
+      quality: str,
+    }),
+    additionalProperties: true,
+  },
+  // extractPages.helper.js, search.extractor.js, filter.extractor.js
+  AnimeCard: obj({
+    id: str,
+    data_id: str,
+    poster: str,
+    title: str,
+    japanese_title: str,
+    description: str,
+    tvInfo: ref("TvInfo"),
+    adultContent: bool,
+  }),
+  // the recommended and related anime of animeInfo.extractor.js, cards
+  // without a description
+  RelatedCard: obj({
+    id: str,
+    data_id: str,
+    poster: str,
+    title: str,
+    japanese_title: str,
+    tvInfo: ref("TvInfo"),
+    adultContent: bool,
+  }),
+  // spotlight.extractor.js
+  Spotlight: obj({
+    id: str,
+    data_id: str,
+    poster: str,
+    title: str,
+    japanese_title: str,
+    description: str,
+    tvInfo: ref("TvInfo"),
+  }),
+  // trending.extractor.js
+  Trending: obj({
+    id: str,
+    data_id: str,
+    number: str,
+    poster: str,
+    title: str,
+    japanese_title: str,
+  }),
+  // topten.extractor.js
+  TopTenItem: obj({
+    id: str,
+    data_id: str,
+    number: str,
+    poster: str,
+    title: str,
+    japanese_title: str,
+    tvInfo: ref("TvInfo"),
+  }),
+  TopTen: obj({
+    today: arr(ref("TopTenItem")),
+    week: arr(ref("TopTenItem")),
+    month: arr(ref("TopTenItem")),
+  }),
+  // schedule.extractor.js
+  ScheduleItem: obj({
+    id: str,
+    data_id: str,
+    title: str,
+    japanese_title: str,
+    releaseDate: { type: "string", format: "date" },
+    time: str,
+    airingAt: nullable({ type: "string", format: "date-time" }),
+    episode_no: str,
+  }),
+  Home: obj({
+    spotlights: arr(ref("Spotlight")),
+    trending: arr(ref("Trending")),
+    topTen: ref("TopTen"),
+    today: obj({
+      date: { type: "string", format: "date" },
+      timezone: str,
+      schedule: arr(ref("ScheduleItem")),
+    }),
+    topAiring: arr(ref("AnimeCard")),
+    mostPopular: arr(ref("AnimeCard")),
+    mostFavorite: arr(ref("AnimeCard")),
+    latestCompleted: arr(ref("AnimeCard")),
+    latestEpisode: arr(ref("AnimeCard")),
+    topUpcoming: arr(ref("AnimeCard")),
+    recentlyAdded: arr(ref("AnimeCard")),
+    genres: arr(str),
+  }),
+  // animeInfo.extractor.js
+  AnimeInfo: obj({
+    adultContent: bool,
+    data_id: str,
+    id: str,
+    anilistId: nullable(str),
+    malId: nullable(str),
+    title: str,
+    japanese_title: str,
+    synonyms: str,
+    poster: str,
+    showType: str,
+    animeInfo: map(),
+    charactersVoiceActors: arr(
+      obj({ character: map(), voiceActors: arr(map()) })
+    ),
+    recommended_data: arr(ref("RelatedCard")),
+    related_data: arr(ref("RelatedCard")),
+  }),
+  // seasons.extractor.js
+  Season: obj({
+    id: str,
+    data_number: int,
+    data_id: int,
+    season: str,
+    title: str,
+    season_poster: str,
+  }),
+  // episodeList.extractor.js
+  Episode: obj({
+    episode_no: int,
+    id: nullable(str),
+    title: nullable(str),
+    japanese_title: str,
+    filler: bool,
+  }),
+  EpisodeList: obj({ totalEpisodes: int, episodes: arr(ref("Episode")) }),
+  // streamInfo.extractor.js
+  Server: obj({ type: str, data_id: str, server_id: str, serverName: str }),
+  StreamingLink: obj({
+    id: str,
+    type: str,
+    link: obj({ file: str, type: str }),
+    tracks: arr(map()),
+    intro: nullable(map()),
+    outro: nullable(map()),
+    server: str,
+  }),
+  StreamingInfo: obj({
+    streamingLink: ref("StreamingLink"),
+    servers: arr(ref("Server")),
+  }),
+  // suggestion.extractor.js
+  Suggestion: obj({
+    id: str,
+    data_id: str,
+    poster: str,
+    title: str,
+    japanese_title: str,
+    releaseDate: str,
+    showType: str,
+    duration: str,
+  }),
+  // qtip.extractor.js
+  Qtip: obj({
+    title: str,
+    rating: str,
+    quality: str,
+    subCount: str,
+    dubCount: str,
+    episodeCount: str,
+    type: str,
+    description: str,
+    japaneseTitle: str,
+    Synonyms: str,
+    airedDate: str,
+    status: str,
+    genres: arr(str),
+    watchLink: str,
+  }),
+  // characters.extractor.js and actors.extractor.js answer with their own
+  // envelope
+  Profile: obj({
+    success: bool,
+    results: obj({ data: arr(map()) }),
+  }),
+  Mapping: obj({
+    anilistId: int,
+    malId: nullable(int),
+    hiAnimeId: str,
+    confidence: num,
+    source: str,
+    updatedAt: str,
+  }),
+  MappingDiagnostic: obj({
+    anilistId: int,
+    anilistInfo: map(),
+    hiAnimeId: str,
+    confidence: num,
+    source: str,
+    reason: str,
+    searchTitles: arr(str),
+    candidates: arr(map()),
+    stored: nullable(map()),
+    matchesStored: nullable(bool),
+  }),
+  AnilistEpisode: obj({
+    anilistId: int,
+    malId: { ...int, description: "Only on the /api/mal routes" },
+    hiAnimeId: nullable(str),
+    episodeNumber: int,
+    episodeId: nullable(int),
+    provider: str,
+  }),
+  Webhook: obj({
+    id: { type: "string", format: "uuid" },
+    url: { type: "string", format: "uri" },
+    animeIds: arr(str),
+    language: { type: "string", enum: ["sub", "dub", "both"] },
+    secret: { ...str, description: "Only returned when the webhook is created" },
+    createdAt: { type: "string", format: "date-time" },
+    lastDelivery: nullable(map()),
+  }),
+  WebhookInput: obj({
+    url: { type: "string", format: "uri" },
+    animeIds: { oneOf: [arr(str), str] },
+    language: { type: "string", enum: ["sub", "dub", "both"] },
+  }),
+  ExtractorHealth: obj({
+    checkedAt: nullable({ type: "string", format: "date-time" }),
+    interval: int,
+    canaryId: str,
+    markupChangeSuspected: bool,
+    extractors: map(
+      obj({
+        canary: {
+          type: "string",
+          enum: ["home", "info", "episodes", "servers", "schedule"],
+        },
+        status: {
+          type: "string",
+          enum: ["ok", "degraded", "failing", "unreachable", "skipped", "unknown"],
+        },
+        markupChangeSuspected: bool,
+        flaggedFields: arr(str),
+        lastRun: nullable(
+          obj({
+            at: { type: "string", format: "date-time" },
+            durationMs: int,
+            fetched: bool,
+            error: nullable(obj({ code: str, message: str })),
+          })
+        ),
+        runs: int,
+        fields: map(
+          obj({
+            fillRate: num,
+            usual: nullable(num),
+            status: { type: "string", enum: ["ok", "dropped", "empty"] },
+          })
+        ),
+      })
+    ),
+  }),
+  Error: {
+    ...obj({
+      success: { type: "boolean", enum: [false] },
+      code: {
+        type: "string",
+        enum: [
+          "BAD_INPUT",
+          "UNAUTHORIZED",
+          "NOT_FOUND",
+          "RATE_LIMITED",
+          "UPSTREAM_UNAVAILABLE",
+          "PARSE_FAILURE",
+          "INTERNAL_ERROR",
+          "FORBIDDEN",
+        ],
+      },
+      message: str,
+      details: arr(obj({ field: str, in: str, message: str })),
+    }),
+    required: ["success", "code", "message"],
+  },
+};
+
+const page = (items) => obj({ data: arr(items), totalPages: int });
+const calendar = { "text/calendar": str };
+const feeds = {
+  "application/rss+xml": str,
+  "application/atom+xml": str,
+};
+
+// `results` is the shape inside { success: true, results }, `content`
+// replaces the envelope with raw bodies per media type
+export const routeDocs = {
+  "GET /api": {
+    tag: "Home",
+    summary: "Home page: spotlights, trending, top ten and today's schedule",
+    results: ref("Home"),
+  },
+  ...Object.fromEntries(
+    routeTypes.map((routeType) => [
+      `GET /api/${routeType}`,
+      {
+        tag: "Categories",
+        summary: `Anime of ${routeType}`,
+        results: page(ref("AnimeCard")),
+      },
+    ])
+  ),
+  "GET /api/top-ten": {
+    tag: "Home",
+    summary: "Top ten of the day, week and month",
+    results: ref("TopTen"),
+  },
+  "GET /api/info": {
+    tag: "Anime",
+    summary: "Anime info and seasons",
+    results: obj({ data: ref("AnimeInfo"), seasons: arr(ref("Season")) }),
+  },
+  "GET /api/episodes/:id": {
+    tag: "Anime",
+    summary: "Episode list",
+    results: ref("EpisodeList"),
+  },
+  "GET /api/servers/:id": {
+    tag: "Streaming",
+    summary: "Servers of an episode",
+    results: arr(ref("Server")),
+  },
+  "GET /api/stream": {
+    tag: "Streaming",
+    summary: "Streaming sources of an episode on a server",
+    results: ref("StreamingInfo"),
+  },
+  "GET /api/search": {
+    tag: "Search",
+    summary: "Search by keyword, with the filter parameters",
+    results: obj({ data: arr(ref("AnimeCard")), totalPage: int }),
+  },
+  "GET /api/filter": {
+    tag: "Search",
+    summary: "Filter anime by type, status, genres, dates, ...",
+    results: obj({
+      data: arr(ref("AnimeCard")),
+      totalPage: int,
+      currentPage: int,
+      hasNextPage: bool,
+    }),
+  },
+  "GET /api/search/suggest": {
+    tag: "Search",
+    summary: "Search suggestions",
+    results: arr(ref("Suggestion")),
+  },
+  "GET /api/schedule": {
+    tag: "Schedule",
+    summary: "Releases of a day or a range of days",
+    results: arr(ref("ScheduleItem")),
+  },
+  "GET /api/schedule.ics": {
+    tag: "Schedule",
+    summary: "iCalendar feed of the releases",
+    content: calendar,
+  },
+  "GET /api/schedule/:id.ics": {
+    tag: "Schedule",
+    summary: "iCalendar feed of an anime's next episode",
+    content: calendar,
+  },
+  "GET /api/schedule/:id": {
+    tag: "Schedule",
+    summary: "Time of an anime's next episode",
+    results: obj({ nextEpisodeSchedule: nullable(str) }),
+  },
+  "GET /api/feed/episodes/:id": {
+    tag: "Feeds",
+    summary: "RSS or Atom feed of an anime's episodes",
+    content: feeds,
+  },
+  "GET /api/feed/:category": {
+    tag: "Feeds",
+    summary: "RSS or Atom feed of recently updated or added anime",
+    content: feeds,
+  },
+  "POST /api/webhooks": {
+    tag: "Webhooks",
+    summary: "Subscribe a url to new sub or dub episodes",
+    auth: true,
+    body: ref("WebhookInput"),
+    results: ref("Webhook"),
+  },
+  "GET /api/webhooks/:id": {
+    tag: "Webhooks",
+    summary: "Webhook subscription",
+    auth: true,
+    results: ref("Webhook"),
+  },
+  "PATCH /api/webhooks/:id": {
+    tag: "Webhooks",
+    summary: "Change a webhook's url, anime or language",
+    auth: true,
+    body: ref("WebhookInput"),
+    results: ref("Webhook"),
+  },
+  "DELETE /api/webhooks/:id": {
+    tag: "Webhooks",
+    summary: "Remove a webhook subscription",
+    auth: true,
+    results: obj({ id: str, deleted: bool }),
+  },
+  "GET /api/events": {
+    tag: "Events",
+    summary: "Server-Sent Events of releases and schedule changes",
+    content: { "text/event-stream": str },
+  },
+  "GET /api/random": {
+    tag: "Anime",
+    summary: "Info of a random anime",
+    results: ref("AnimeInfo"),
+  },
+  "GET /api/random/id": {
+    tag: "Anime",
+    summary: "Id of a random anime",
+    results: str,
+  },
+  "GET /api/qtip/:id": {
+    tag: "Anime",
+    summary: "Tooltip info of an anime by its numeric id",
+    results: ref("Qtip"),
+  },
+  "GET /api/producer/:id": {
+    tag: "Categories",
+    summary: "Anime of a producer or studio",
+    results: page(ref("AnimeCard")),
+  },
+  "GET /api/character/list/:id": {
+    tag: "Characters",
+    summary: "Characters and voice actors of an anime",
+    results: obj({ currentPage: int, totalPages: int, data: arr(map()) }),
+  },
+  "GET /api/watchlist/:userId/:page?": {
+    tag: "Anime",
+    summary: "Public watchlist of a user",
+    results: page(ref("AnimeCard")),
+  },
+  "GET /api/actors/:id": {
+    tag: "Characters",
+    summary: "Voice actor profile",
+    content: { "application/json": ref("Profile") },
+  },
+  "GET /api/character/:id": {
+    tag: "Characters",
+    summary: "Character profile",
+    content: { "application/json": ref("Profile") },
+  },
+  "GET /api/top-search": {
+    tag: "Search",
+    summary: "Most searched keywords",
+    results: arr(obj({ title: str, link: str })),
+  },
+  "GET /api/providers": {
+    tag: "Status",
+    summary: "Registered providers and the default chain",
+    results: obj({ default: arr(str), providers: arr(map()) }),
+  },
+  "GET /api/mirrors": {
+    tag: "Status",
+    summary: "Health of each upstream mirror",
+    results: map(arr(map())),
+  },
+  "GET /api/decryptors": {
+    tag: "Status",
+    summary: "Success rates of the stream decryptors",
+    results: map(),
+  },
+  "GET /api/health/extractors": {
+    tag: "Status",
+    summary: "Fill rates of the extractors' required fields in the canary scrapes",
+    results: ref("ExtractorHealth"),
+  },
+  "GET /api/proxy/m3u8": {
+    tag: "Streaming",
+    summary: "HLS playlist with every uri rewritten through the proxy",
+    content: { "application/vnd.apple.mpegurl": str },
+  },
+  "GET /api/proxy/segment": {
+    tag: "Streaming",
+    summary: "Media segment, key or subtitle file relayed from upstream",
+    content: { "application/octet-stream": { type: "string", format: "binary" } },
+  },
+  "GET /api/subtitles": {
+    tag: "Streaming",
+    summary: "Subtitle track converted to VTT, SRT or ASS",
+    content: {
+      "text/vtt": str,
+      "application/x-subrip": str,
+      "text/x-ssa": str,
+    },
+  },
+  "GET /api/mapping": {
+    tag: "Mapping",
+    summary: "Stored mapping of an anime by any of its ids",
+    results: ref("Mapping"),
+  },
+  "GET /api/anilist/map": {
+    tag: "Mapping",
+    summary: "Mapping diagnostics of many AniList IDs",
+    results: obj({
+      total: int,
+      mapped: int,
+      changed: int,
+      results: arr(ref("MappingDiagnostic")),
+    }),
+  },
+  "GET /api/anilist/map/:id": {
+    tag: "Mapping",
+    summary: "Mapping diagnostic of an AniList ID",
+    results: ref("MappingDiagnostic"),
+  },
+  "GET /api/anilist/info/:id": {
+    tag: "AniList",
+    summary: "Anime info merged from AniList and hianime",
+    results: obj({
+      anilistId: int,
+      malId: nullable(int),
+      hiAnimeId: str,
+      mapping: map(),
+      merged: map(),
+      provenance: map(str),
+      info: ref("AnimeInfo"),
+      episodes: arr(map()),
+    }),
+  },
+  "GET /api/anilist/episodes/:id/:episodeNumber/servers": {
+    tag: "AniList",
+    summary: "Servers of an episode by AniList ID",
+    results: {
+      allOf: [ref("AnilistEpisode"), obj({ servers: arr(ref("Server")) })],
+    },
+  },
+  "GET /api/anilist/episodes/:id/:episodeNumber/sources": {
+    tag: "AniList",
+    summary: "Streaming sources of an episode by AniList ID",
+    results: {
+      allOf: [
+        ref("AnilistEpisode"),
+        obj({
+          server: str,
+          type: str,
+          sources: ref("StreamingLink"),
+          availableServers: arr(ref("Server")),
+        }),
+      ],
+    },
+  },
+  "GET /api/mal/info/:id": {
+    tag: "MyAnimeList",
+    summary: "Anime info by MyAnimeList ID",
+    results: map(),
+  },
+  "GET /api/mal/episodes/:id/:episodeNumber/servers": {
+    tag: "MyAnimeList",
+    summary: "Servers of an episode by MyAnimeList ID",
+    results: {
+      allOf: [ref("AnilistEpisode"), obj({ servers: arr(ref("Server")) })],
+    },
+  },
+  "GET /api/mal/episodes/:id/:episodeNumber/sources": {
+    tag: "MyAnimeList",
+    summary: "Streaming sources of an episode by MyAnimeList ID",
+    results: {
+      allOf: [
+        ref("AnilistEpisode"),
+        obj({
+          server: str,
+          type: str,
+          sources: ref("StreamingLink"),
+          availableServers: arr(ref("Server")),
+        }),
+      ],
+    },
+  },
+};
@@ -15,17 +15,39 @@ import * as producerController from "../controllers/producer.controller.js";
 import * as characterListController from "../controllers/voiceactor.controller.js";
 import * as nextEpisodeScheduleController from "../controllers/nextEpisodeSchedule.controller.js";
 import * as anilistController from "../controllers/anilist.controller.js";
+import * as malController from "../controllers/mal.controller.js";
 import { routeTypes } from "./category.route.js";
 import { getWatchlist } from "../controllers/watchlist.controller.js";
 import getVoiceActors from "../controllers/actors.controller.js";
 import getCharacter from "../controllers/characters.controller.js";
 import * as filterController from "../controllers/filter.controller.js";
 import getTopSearch from "../controllers/topsearch.controller.js";
+import * as providersController from "../controllers/providers.controller.js";
+import * as healthController from "../controllers/health.controller.js";
+import * as proxyController from "../controllers/proxy.controller.js";
+import { getSubtitles } from "../controllers/subtitles.controller.js";
+import { getMapping } from "../controllers/mapping.controller.js";
+import * as feedController from "../controllers/feed.controller.js";
+import * as webhookController from "../controllers/webhook.controller.js";
+import { getEvents } from "../controllers/events.controller.js";
+import { toApiError } from "../helper/errors.helper.js";
+import { validateRequest } from "../helper/validation.helper.js";
+import { routeSchemas } from "./apiSchemas.js";
+import { routeDocs, components } from "./apiDocs.js";
+import { buildOpenApi } from "../helper/openapi.helper.js";
 
 export const createApiRoutes = (app, jsonResponse, jsonError) => {
-  const createRoute = (path, controllerMethod) => {
-    app.get(path, async (req, res) => {
+  // every documented route, in registration order, for /api/openapi.json
+  const routeTable = [{ method: "get", path: "/api" }];
+  let openApi = null;
+
+  const createRoute = (path, controllerMethod, method = "get") => {
+    routeTable.push({ method, path });
+    // checked before the controller runs, so bad input never reaches upstream
+    const schema = routeSchemas[`${method.toUpperCase()} ${path}`];
+    app[method](path, async (req, res) => {
       try {
+        if (schema) validateRequest(schema, req);
         const data = await controllerMethod(req, res);
         if (res.headersSent) {
           return;
@@ -34,9 +56,10 @@ export const createApiRoutes = (app, jsonResponse, jsonError) => {
           return jsonResponse(res, data);
         }
       } catch (err) {
-        console.error(`Error in route ${path}:`, err);
+        const error = toApiError(err);
+        console.error(`Error in route ${path}:`, error.status >= 500 ? err : error.message);
         if (!res.headersSent) {
-          return jsonError(res, err.message || "Internal server error");
+          return jsonError(res, error);
         }
       }
     });
@@ -45,19 +68,32 @@ export const createApiRoutes = (app, jsonResponse, jsonError) => {
   ["/api", "/api/"].forEach((route) => {
     app.get(route, async (req, res) => {
       try {
+        validateRequest(routeSchemas["GET /api"], req);
         const data = await homeInfoController.getHomeInfo(req, res);
         if (!res.headersSent) {
           return jsonResponse(res, data);
         }
       } catch (err) {
+        const error = toApiError(err);
         console.error("Error in home route:", err);
         if (!res.headersSent) {
-          return jsonError(res, err.message || "Internal server error");
+          return jsonError(res, error);
         }
       }
     });
   });
 
+  // built on first request, once every route below is registered
+  app.get("/api/openapi.json", (req, res) => {
+    openApi ??= buildOpenApi({
+      routes: routeTable,
+      schemas: routeSchemas,
+      docs: routeDocs,
+      components,
+    });
+    res.json(openApi);
+  });
+
   routeTypes.forEach((routeType) =>
     createRoute(`/api/${routeType}`, (req, res) =>
       categoryController.getCategory(req, res, routeType)
@@ -73,10 +109,22 @@ export const createApiRoutes = (app, jsonResponse, jsonError) => {
   createRoute("/api/filter", filterController.filter);
   createRoute("/api/search/suggest", suggestionsController.getSuggestions);
   createRoute("/api/schedule", scheduleController.getSchedule);
+  createRoute("/api/schedule.ics", scheduleController.getScheduleIcs);
+  createRoute(
+    "/api/schedule/:id.ics",
+    nextEpisodeScheduleController.getNextEpisodeScheduleIcs
+  );
   createRoute(
     "/api/schedule/:id",
     nextEpisodeScheduleController.getNextEpisodeSchedule
   );
+  createRoute("/api/feed/episodes/:id", feedController.getEpisodesFeed);
+  createRoute("/api/feed/:category", feedController.getCategoryFeed);
+  createRoute("/api/webhooks", webhookController.createWebhook, "post");
+  createRoute("/api/webhooks/:id", webhookController.getWebhook);
+  createRoute("/api/webhooks/:id", webhookController.updateWebhook, "patch");
+  createRoute("/api/webhooks/:id", webhookController.deleteWebhook, "delete");
+  createRoute("/api/events", getEvents);
   createRoute("/api/random", randomController.getRandom);
   createRoute("/api/random/id", randomIdController.getRandomId);
   createRoute("/api/qtip/:id", qtipController.getQtip);
@@ -89,9 +137,24 @@ export const createApiRoutes = (app, jsonResponse, jsonError) => {
   createRoute("/api/actors/:id", getVoiceActors);
   createRoute("/api/character/:id", getCharacter);
   createRoute("/api/top-search", getTopSearch);
+  createRoute("/api/providers", providersController.getProviders);
+  createRoute("/api/mirrors", providersController.getMirrors);
+  createRoute("/api/decryptors", providersController.getDecryptors);
+  createRoute("/api/health/extractors", healthController.getExtractors);
+  createRoute("/api/proxy/m3u8", proxyController.getM3u8);
+  createRoute("/api/proxy/segment", proxyController.getSegment);
+  createRoute("/api/subtitles", getSubtitles);
+  createRoute("/api/mapping", getMapping);
 
   // New AniList API routes
+  createRoute("/api/anilist/map", anilistController.testAnilistMappings);
+  createRoute("/api/anilist/map/:id", anilistController.testAnilistMapping);
   createRoute("/api/anilist/info/:id", anilistController.getAnimeInfoByAnilistId);
   createRoute("/api/anilist/episodes/:id/:episodeNumber/servers", anilistController.getEpisodeServersByAnilistId);
   createRoute("/api/anilist/episodes/:id/:episodeNumber/sources", anilistController.getStreamingSourcesByAnilistId);
+
+  // MyAnimeList ID routes, mapped onto the AniList ones
+  createRoute("/api/mal/info/:id", malController.getAnimeInfoByMalId);
+  createRoute("/api/mal/episodes/:id/:episodeNumber/servers", malController.getEpisodeServersByMalId);
+  createRoute("/api/mal/episodes/:id/:episodeNumber/sources", malController.getStreamingSourcesByMalId);
 };
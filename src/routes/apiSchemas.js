@@ -0,0 +1,255 @@
+import {
+  string,
+  integer,
+  number,
+  date,
+  timezone,
+  url,
+  oneOf,
+  list,
+  mapped,
+} from "../helper/validation.helper.js";
+import {
+  GENRE_MAP,
+  FILTER_TYPES,
+  FILTER_STATUS,
+  FILTER_RATED,
+  FILTER_SCORE,
+  FILTER_SEASON,
+  FILTER_LANGUAGE,
+  FILTER_SORT,
+} from "./filter.maping.js";
+import { routeTypes } from "./category.route.js";
+import { listProviders } from "../providers/providerRegistry.js";
+import { EVENT_TYPES } from "../helper/eventStream.helper.js";
+import { FEED_FORMATS } from "../helper/feed.helper.js";
+import { SUBTITLE_FORMATS } from "../helper/subtitle.helper.js";
+import { FEED_CATEGORIES } from "../controllers/feed.controller.js";
+import { MAPPING_BATCH_LIMIT } from "../configs/mapping.config.js";
+
+// Route ("METHOD /path" as registered with express) -> rules of its path
+// params and query, see validation.helper.js. Routes without an entry take
+// no input.
+
+const animeId = (options) =>
+  string({
+    pattern: /^[\w-]+$/,
+    maxLength: 200,
+    example: "one-piece-100",
+    ...options,
+  });
+const numericId = (options) => integer({ min: 1, ...options });
+const page = integer({ min: 1, description: "Page number", default: 1 });
+const provider = list(
+  oneOf(listProviders().map((item) => item.name)),
+  { description: "Provider, or comma separated provider chain" }
+);
+const animeIds = list(animeId(), {
+  maxItems: 100,
+  description: "Comma separated anime ids to keep",
+});
+
+// filter.maping.js values, shared by /api/search and /api/filter
+const filters = {
+  type: mapped(FILTER_TYPES),
+  status: mapped(FILTER_STATUS),
+  rated: mapped(FILTER_RATED),
+  score: mapped(FILTER_SCORE),
+  season: mapped(FILTER_SEASON),
+  language: mapped(FILTER_LANGUAGE),
+  genres: list(mapped(GENRE_MAP), { description: "Comma separated genres" }),
+  sort: mapped(FILTER_SORT),
+  sy: integer({ min: 1900, max: 2100, description: "Start year" }),
+  sm: integer({ min: 1, max: 12, description: "Start month" }),
+  sd: integer({ min: 1, max: 31, description: "Start day" }),
+  ey: integer({ min: 1900, max: 2100, description: "End year" }),
+  em: integer({ min: 1, max: 12, description: "End month" }),
+  ed: integer({ min: 1, max: 31, description: "End day" }),
+  page,
+};
+
+const days = {
+  date: date({ description: "Day of the schedule, today by default" }),
+  from: date({ description: "First day of a range" }),
+  to: date({ description: "Last day of a range, inclusive" }),
+  timezone: timezone({ description: "Zone the days are counted in" }),
+  ids: animeIds,
+  provider,
+};
+
+const proxied = {
+  url: url({ required: true, description: "Upstream url" }),
+  referer: url({ description: "Referer sent upstream" }),
+  origin: url({ description: "Origin sent upstream" }),
+};
+
+const anilistEpisode = {
+  id: numericId({ required: true, description: "AniList ID" }),
+  episodeNumber: integer({ required: true, min: 1 }),
+};
+const malEpisode = {
+  id: numericId({ required: true, description: "MyAnimeList ID" }),
+  episodeNumber: integer({ required: true, min: 1 }),
+};
+const sourcesQuery = {
+  server: string({ required: true, example: "hd-1" }),
+  type: oneOf(["sub", "dub"], { default: "sub" }),
+  provider,
+};
+
+export const routeSchemas = {
+  "GET /api": {
+    query: { timezone: timezone({ description: "Zone of \"today\"" }) },
+  },
+  ...Object.fromEntries(
+    routeTypes.map((routeType) => [`GET /api/${routeType}`, { query: { page } }])
+  ),
+  "GET /api/info": {
+    query: { id: animeId({ required: true }), provider },
+  },
+  "GET /api/episodes/:id": {
+    params: { id: animeId({ required: true }) },
+    query: { provider },
+  },
+  "GET /api/servers/:id": {
+    params: { id: animeId({ required: true }) },
+    query: {
+      ep: numericId({ required: true, description: "Episode id" }),
+      provider,
+    },
+  },
+  "GET /api/stream": {
+    query: {
+      id: string({
+        required: true,
+        pattern: /ep=\d+/,
+        description: "Episode id, as {anime-id}?ep={episode-id}",
+        example: "one-piece-100?ep=2142",
+      }),
+      server: string({ required: true, example: "hd-1" }),
+      type: oneOf(["sub", "dub", "raw"], { required: true }),
+      provider,
+    },
+  },
+  "GET /api/search": {
+    query: {
+      keyword: string({ required: true, maxLength: 200 }),
+      ...filters,
+      provider,
+    },
+  },
+  "GET /api/filter": {
+    query: { keyword: string({ maxLength: 200 }), ...filters },
+  },
+  "GET /api/search/suggest": {
+    query: { keyword: string({ required: true, maxLength: 200 }) },
+  },
+  "GET /api/schedule": { query: days },
+  "GET /api/schedule.ics": { query: days },
+  "GET /api/schedule/:id.ics": {
+    params: { id: animeId({ required: true }) },
+    query: { provider },
+  },
+  "GET /api/schedule/:id": {
+    params: { id: animeId({ required: true }) },
+  },
+  "GET /api/feed/episodes/:id": {
+    params: { id: animeId({ required: true }) },
+    query: { format: oneOf(Object.keys(FEED_FORMATS)), provider },
+  },
+  "GET /api/feed/:category": {
+    params: { category: oneOf(Object.keys(FEED_CATEGORIES), { required: true }) },
+    query: { format: oneOf(Object.keys(FEED_FORMATS)) },
+  },
+  "GET /api/webhooks/:id": {
+    params: { id: string({ required: true, maxLength: 100 }) },
+  },
+  "PATCH /api/webhooks/:id": {
+    params: { id: string({ required: true, maxLength: 100 }) },
+  },
+  "DELETE /api/webhooks/:id": {
+    params: { id: string({ required: true, maxLength: 100 }) },
+  },
+  "GET /api/events": {
+    query: {
+      ids: animeIds,
+      types: list(oneOf(EVENT_TYPES), {
+        description: "Comma separated event types to keep",
+      }),
+      lastEventId: string({ pattern: /^\d+$/ }),
+    },
+  },
+  "GET /api/qtip/:id": {
+    params: { id: numericId({ required: true }) },
+  },
+  "GET /api/producer/:id": {
+    params: { id: animeId({ required: true, example: "toei-animation" }) },
+    query: { page },
+  },
+  "GET /api/character/list/:id": {
+    params: { id: animeId({ required: true }) },
+    query: { page },
+  },
+  "GET /api/watchlist/:userId/:page?": {
+    params: {
+      userId: string({ required: true, maxLength: 100 }),
+      page,
+    },
+  },
+  "GET /api/actors/:id": {
+    params: { id: animeId({ required: true, example: "gakuto-kajiwara-534" }) },
+  },
+  "GET /api/character/:id": {
+    params: { id: animeId({ required: true, example: "asta-340" }) },
+  },
+  "GET /api/proxy/m3u8": { query: proxied },
+  "GET /api/proxy/segment": { query: proxied },
+  "GET /api/subtitles": {
+    query: {
+      ...proxied,
+      format: oneOf(Object.keys(SUBTITLE_FORMATS), { default: "vtt" }),
+      offset: number({ description: "Shift in seconds, may be negative" }),
+    },
+  },
+  "GET /api/mapping": {
+    query: {
+      anilistId: numericId(),
+      malId: numericId(),
+      hiAnimeId: animeId(),
+    },
+  },
+  "GET /api/anilist/map": {
+    query: {
+      ids: list(numericId(), {
+        required: true,
+        maxItems: MAPPING_BATCH_LIMIT,
+        description: "Comma separated AniList IDs",
+      }),
+    },
+  },
+  "GET /api/anilist/map/:id": {
+    params: { id: numericId({ required: true, description: "AniList ID" }) },
+  },
+  "GET /api/anilist/info/:id": {
+    params: { id: numericId({ required: true, description: "AniList ID" }) },
+  },
+  "GET /api/anilist/episodes/:id/:episodeNumber/servers": {
+    params: anilistEpisode,
+    query: { provider },
+  },
+  "GET /api/anilist/episodes/:id/:episodeNumber/sources": {
+    params: anilistEpisode,
+    query: sourcesQuery,
+  },
+  "GET /api/mal/info/:id": {
+    params: { id: numericId({ required: true, description: "MyAnimeList ID" }) },
+  },
+  "GET /api/mal/episodes/:id/:episodeNumber/servers": {
+    params: malEpisode,
+    query: { provider },
+  },
+  "GET /api/mal/episodes/:id/:episodeNumber/sources": {
+    params: malEpisode,
+    query: sourcesQuery,
+  },
+};
@@ -1,7 +1,19 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { v1_base_url } from './base_v1.js';
-import match from 'string-similarity-js';
+import { httpGet, httpPost } from '../helper/http.helper.js';
+import MappingStore from '../helper/stores/mapping.store.js';
+import extractAnimeInfo from '../extractors/animeInfo.extractor.js';
+import extractSearchResults from '../extractors/search.extractor.js';
+import { rankCandidates, airedYear } from '../helper/animeMatch.helper.js';
+import { MAPPING_FILE, MAPPING_OVERRIDES_FILE } from '../configs/mapping.config.js';
+import {
+  NotFoundError,
+  ParseError,
+  UpstreamUnavailableError,
+  toApiError,
+} from '../helper/errors.helper.js';
+
+const mappings = new MappingStore(MAPPING_FILE, MAPPING_OVERRIDES_FILE);
 
 // AniList GraphQL API URL
 const ANILIST_BASEURL = 'https://graphql.anilist.co';
@@ -24,6 +36,7 @@ query ($id: Int) {
       medium
       color
     }
+    synonyms
     format
     description
     genres
@@ -31,6 +44,76 @@ query ($id: Int) {
     episodes
     status
     seasonYear
+    startDate {
+      year
+      month
+      day
+    }
+    endDate {
+      year
+      month
+      day
+    }
+    duration
+    bannerImage
+    averageScore
+    meanScore
+    popularity
+    favourites
+    studios {
+      edges {
+        isMain
+        node {
+          id
+          name
+          isAnimationStudio
+        }
+      }
+    }
+    tags {
+      name
+      rank
+      isMediaSpoiler
+    }
+    relations {
+      edges {
+        relationType
+        node {
+          id
+          idMal
+          type
+          format
+          status
+          title {
+            romaji
+            english
+          }
+          coverImage {
+            large
+          }
+        }
+      }
+    }
+    nextAiringEpisode {
+      episode
+      airingAt
+    }
+    airingSchedule(notYetAired: true, perPage: 25) {
+      nodes {
+        episode
+        airingAt
+      }
+    }
+  }
+}
+`;
+
+// GraphQL query to find the AniList entry of a MyAnimeList ID
+const MAL_QUERY = `
+query ($idMal: Int) {
+  Media(idMal: $idMal, type: ANIME) {
+    id
+    idMal
   }
 }
 `;
@@ -42,7 +125,7 @@ query ($id: Int) {
  */
 export async function fetchAnilistInfo(anilistId) {
   try {
-    const response = await axios.post(ANILIST_BASEURL, {
+    const response = await httpPost(ANILIST_BASEURL, {
       query: ANIME_QUERY,
       variables: {
         id: anilistId,
@@ -51,90 +134,199 @@ export async function fetchAnilistInfo(anilistId) {
 
     return response.data.data.Media;
   } catch (error) {
-    console.error('Error fetching AniList info:', error);
-    throw new Error('Failed to fetch anime information from AniList');
+    console.error('Error fetching AniList info:', error.message);
+    throw toApiError(error, UpstreamUnavailableError, 'Failed to fetch anime information from AniList');
   }
 }
 
+// Search results kept per mapping, and how many of the best ones get their
+// anime page checked for syncData
+const KEPT_CANDIDATES = 5;
+const VERIFIED_CANDIDATES = 3;
+
 /**
- * Maps an AniList ID to a HiAnime ID by searching for the title
+ * Finds the HiAnime entry of an AniList media. Candidates from searching the
+ * English and romaji titles are scored on titles (including native and
+ * synonyms), format, episode count, season number and year, and the best
+ * ones are checked against the AniList ID HiAnime states in its syncData.
+ * @param {object} anilistData - AniList Media object
+ * @returns {Promise<object>} - { hiAnimeId, confidence, source, reason, searchTitles, candidates }
+ */
+export async function matchAnilistToHiAnime(anilistData) {
+  const anilistId = anilistData.id;
+  const { english, romaji } = anilistData.title;
+  const searchTitles = [...new Set([english, romaji].filter(Boolean))];
+  
+  if (searchTitles.length === 0) {
+    throw new NotFoundError(`No valid title found for AniList ID ${anilistId}`);
+  }
+  
+  // Search for the anime on HiAnime under each title
+  const results = await Promise.all(
+    searchTitles.map((title) =>
+      extractSearchResults({ keyword: title })
+        .then(([, data]) => data || [])
+        .catch(() => [])
+    )
+  );
+  // the same show usually turns up under both titles
+  const byId = new Map();
+  results.flat().forEach((item) => item.id && byId.set(item.id, item));
+  const candidates = [...byId.values()];
+  
+  if (candidates.length === 0) {
+    throw new NotFoundError(`No matches found on HiAnime for anime with title "${searchTitles[0]}" (AniList ID: ${anilistId})`);
+  }
+
+  // Check the best candidates' own pages: HiAnime names the AniList entry
+  // for most shows, which settles the match
+  let ranked = rankCandidates(anilistData, candidates);
+  for (const candidate of ranked.slice(0, VERIFIED_CANDIDATES)) {
+    const info = await extractAnimeInfo(candidate.id).catch(() => null);
+    candidate.anilistId = info?.anilistId ? Number(info.anilistId) : null;
+    candidate.year = airedYear(info?.animeInfo);
+    if (candidate.anilistId === anilistId) break;
+  }
+  ranked = rankCandidates(anilistData, ranked);
+
+  const summary = ranked.slice(0, KEPT_CANDIDATES).map((candidate) => ({
+    id: candidate.id,
+    title: candidate.title,
+    japanese_title: candidate.japanese_title,
+    showType: candidate.tvInfo?.showType ?? null,
+    episodes: candidate.tvInfo?.eps || candidate.tvInfo?.sub || null,
+    year: candidate.year ?? null,
+    anilistId: candidate.anilistId ?? null,
+    score: candidate.score,
+    signals: candidate.signals,
+  }));
+  const result = (chosen, confidence, source, reason) => ({
+    hiAnimeId: chosen.id,
+    confidence,
+    source,
+    reason,
+    searchTitles,
+    candidates: summary,
+  });
+
+  const verified = ranked.find((candidate) => candidate.anilistId === anilistId);
+  if (verified) {
+    const reason = `syncData of ${verified.id} names AniList ID ${anilistId}`;
+    return result(verified, 1, 'syncData', reason);
+  }
+  // a candidate whose syncData names another AniList entry is another show
+  const best = ranked.find((candidate) => !candidate.anilistId);
+  if (!best) {
+    throw new NotFoundError(`Every HiAnime match for "${searchTitles[0]}" belongs to another AniList entry (AniList ID: ${anilistId})`);
+  }
+  const reason = `Best score ${best.score} of ${ranked.length} candidates, not confirmed by syncData`;
+  return result(best, best.score, 'search', reason);
+}
+
+/**
+ * Maps an AniList ID to a HiAnime ID. Overrides and earlier matches come
+ * from the mapping store, anything else is searched for and stored.
  * @param {number} anilistId - The AniList ID to map
  * @returns {Promise<string>} - The HiAnime ID
  */
 export async function mapAnilistToHiAnimeId(anilistId) {
   try {
+    const known = await mappings.get('anilistId', anilistId);
+    if (known?.hiAnimeId) return known.hiAnimeId;
+
     // Get anime info from AniList
     const anilistData = await fetchAnilistInfo(anilistId);
     
     if (!anilistData) {
-      throw new Error(`Anime with AniList ID ${anilistId} not found in AniList database`);
+      throw new NotFoundError(`Anime with AniList ID ${anilistId} not found in AniList database`);
     }
 
-    // Use the English title for search, fallback to romaji if not available
-    const searchTitle = anilistData.title.english || anilistData.title.romaji;
-    
-    if (!searchTitle) {
-      throw new Error(`No valid title found for AniList ID ${anilistId}`);
-    }
-    
-    console.log(`Searching for anime with title: ${searchTitle}`);
-    
-    // Search for the anime on HiAnime
-    const response = await axios.get(`https://${v1_base_url}/search?keyword=${encodeURIComponent(searchTitle)}`);
-    const $ = cheerio.load(response.data);
-    
-    // Extract search results
-    let similarTitles = [];
-    $('.film_list-wrap > .flw-item .film-detail .film-name a').each((i, el) => {
-      const title = $(el).text();
-      const id = $(el).attr('href')?.split('/').pop()?.split('?')[0] || '';
-      const similarity = Number(
-        (match(title.replace(/[\,\:]/g, ''), searchTitle) * 10).toFixed(2)
-      );
-      similarTitles.push({ id, title, similarity });
+    const matched = await matchAnilistToHiAnime(anilistData);
+    await mappings.set({
+      anilistId: Number(anilistId),
+      malId: anilistData.idMal ?? null,
+      ...matched,
     });
-
-    // Sort by similarity score
-    similarTitles.sort((a, b) => b.similarity - a.similarity);
-    
-    console.log(`Found ${similarTitles.length} potential matches`);
-    
-    // If no results found
-    if (similarTitles.length === 0) {
-      throw new Error(`No matches found on HiAnime for anime with title "${searchTitle}" (AniList ID: ${anilistId})`);
-    }
-
-    // Log the top matches for debugging
-    similarTitles.slice(0, 3).forEach((match, index) => {
-      console.log(`Match ${index + 1}: ${match.title} (ID: ${match.id}, Similarity: ${match.similarity})`);
-    });
-
-    // Handle season matching similar to hianime-mapper
-    let selectedMatch;
-    if (
-      (searchTitle.match(/\Season(.+?)\d/) && similarTitles[0].title.match(/\Season(.+?)\d/)) || 
-      (!searchTitle.match(/\Season(.+?)\d/) && !similarTitles[0].title.match(/\Season(.+?)\d/))
-    ) {
-      selectedMatch = similarTitles[0];
-    } else {
-      selectedMatch = similarTitles[1] || similarTitles[0];
-    }
     
-    if (!selectedMatch || !selectedMatch.id) {
-      throw new Error(`Failed to select a valid match for "${searchTitle}" (AniList ID: ${anilistId})`);
-    }
-    
-    console.log(`Selected match: ${selectedMatch.title} (ID: ${selectedMatch.id}, Similarity: ${selectedMatch.similarity})`);
-    
-    return selectedMatch.id;
+    return matched.hiAnimeId;
   } catch (error) {
     console.error('Error mapping AniList ID to HiAnime ID:', error);
     if (error.response) {
       console.error('Response status:', error.response.status);
       console.error('Response data:', error.response.data);
     }
-    throw new Error(`Failed to map AniList ID ${anilistId} to HiAnime ID: ${error.message}`);
+    const apiError = toApiError(error, NotFoundError);
+    apiError.message = `Failed to map AniList ID ${anilistId} to HiAnime ID: ${error.message}`;
+    throw apiError;
+  }
+}
+
+/**
+ * Maps a MyAnimeList ID to its AniList ID, from the mapping store when known
+ * @param {number} malId - The MyAnimeList ID
+ * @returns {Promise<number>} - The AniList ID
+ */
+export async function mapMalToAnilistId(malId) {
+  // overrides come first, a MAL keyed one may not know its AniList ID yet
+  const known = await mappings.get('malId', malId);
+  if (known?.anilistId) return known.anilistId;
+
+  let media;
+  try {
+    const response = await httpPost(ANILIST_BASEURL, {
+      query: MAL_QUERY,
+      variables: {
+        idMal: Number(malId),
+      },
+    });
+    media = response.data.data.Media;
+  } catch (error) {
+    // AniList answers unknown IDs with a 404
+    if (error.response?.status !== 404) {
+      console.error('Error fetching AniList entry by MAL ID:', error.message);
+      throw toApiError(error, UpstreamUnavailableError, 'Failed to fetch anime information from AniList');
+    }
   }
+  if (!media) {
+    throw new NotFoundError(`No AniList entry found for MAL ID ${malId}`);
+  }
+  if (known) mappings.linkMalId(malId, media.id);
+  return media.id;
+}
+
+/**
+ * Maps a HiAnime ID back to its AniList ID, using the store first and the
+ * anime page's syncData otherwise
+ * @param {string} hiAnimeId - The HiAnime ID to map
+ * @returns {Promise<number|null>} - The AniList ID, null when HiAnime has none
+ */
+export async function mapHiAnimeToAnilistId(hiAnimeId) {
+  const known = await mappings.get('hiAnimeId', hiAnimeId);
+  if (known) return known.anilistId;
+
+  const info = await extractAnimeInfo(hiAnimeId);
+  if (!info?.anilistId) return null;
+  // HiAnime states the AniList ID itself, so this replaces whatever a title
+  // search stored for it
+  await mappings.set({
+    anilistId: Number(info.anilistId),
+    malId: info.malId ? Number(info.malId) : null,
+    hiAnimeId,
+    confidence: 1,
+    source: 'syncData',
+    reason: `syncData of ${hiAnimeId} names AniList ID ${info.anilistId}`,
+  });
+  return Number(info.anilistId);
+}
+
+/**
+ * Looks up a stored mapping by any of its IDs
+ * @param {'anilistId'|'malId'|'hiAnimeId'} field - ID to look up by
+ * @param {number|string} value - ID value
+ * @returns {Promise<object|null>} - Stored mapping with confidence and source
+ */
+export function getMapping(field, value) {
+  return mappings.get(field, value);
 }
 
 /**
@@ -145,7 +337,7 @@ export async function mapAnilistToHiAnimeId(anilistId) {
 export async function getEpisodesByHiAnimeId(hiAnimeId) {
   try {
     const animeId = hiAnimeId.split('-').pop();
-    const response = await axios.get(
+    const response = await httpGet(
       `https://${v1_base_url}/ajax/v2/episode/list/${animeId}`,
       {
         headers: {
@@ -169,7 +361,7 @@ export async function getEpisodesByHiAnimeId(hiAnimeId) {
 
     return episodesList;
   } catch (error) {
-    console.error('Error fetching episodes by HiAnime ID:', error);
-    throw new Error(`Failed to get episodes for HiAnime ID ${hiAnimeId}`);
+    console.error('Error fetching episodes by HiAnime ID:', error.message);
+    throw toApiError(error, ParseError, `Failed to get episodes for HiAnime ID ${hiAnimeId}`);
   }
 } 
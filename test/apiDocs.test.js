@@ -0,0 +1,124 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import { components, routeDocs } from "../src/routes/apiDocs.js";
+
+// The shapes /api/openapi.json documents, checked against the snapshots of
+// what the extractors return for the fixtures, so docs can't drift from the
+// output the tests pin down
+
+const SNAPSHOTS_DIR = new URL("./snapshots/", import.meta.url);
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const results = (route) => routeDocs[route].results;
+const json = (route) => routeDocs[route].content["application/json"];
+
+// snapshot -> documented schema, and how the route reshapes the extractor's
+// output when it does. The search, filter and watchlist snapshots aren't
+// listed: their controllers rebuild the output field by field.
+const documented = {
+  spotlight: { schema: { type: "array", items: ref("Spotlight") } },
+  trending: { schema: { type: "array", items: ref("Trending") } },
+  topten: { schema: results("GET /api/top-ten") },
+  topsearch: { schema: results("GET /api/top-search") },
+  animeInfo: { schema: ref("AnimeInfo") },
+  random: { schema: results("GET /api/random") },
+  randomId: { schema: results("GET /api/random/id") },
+  seasons: { schema: { type: "array", items: ref("Season") } },
+  episodeList: { schema: results("GET /api/episodes/:id") },
+  nextEpisodeSchedule: {
+    schema: results("GET /api/schedule/:id"),
+    shape: (nextEpisodeSchedule) => ({ nextEpisodeSchedule }),
+  },
+  servers: { schema: results("GET /api/servers/:id") },
+  category: { schema: results("GET /api/most-popular") },
+  suggestion: { schema: results("GET /api/search/suggest") },
+  schedule: { schema: results("GET /api/schedule") },
+  qtip: { schema: results("GET /api/qtip/:id") },
+  voiceactor: {
+    schema: results("GET /api/character/list/:id"),
+    shape: ({ charactersVoiceActors, totalPages }) => ({
+      currentPage: "number",
+      totalPages,
+      data: charactersVoiceActors,
+    }),
+  },
+  actors: { schema: json("GET /api/actors/:id") },
+  characters: { schema: json("GET /api/character/:id") },
+};
+
+const resolve = (schema) =>
+  schema.$ref ? components[schema.$ref.split("/").pop()] : schema;
+
+const TYPES = {
+  string: ["string"],
+  "empty string": ["string"],
+  number: ["integer", "number"],
+  boolean: ["boolean"],
+};
+
+/**
+ * Differences between a schema and a snapshot shape (see shapeOf), as
+ * "path: problem" lines. Documented properties the snapshot lacks count,
+ * except in objects with additionalProperties, which accept any key.
+ */
+function compare(schema, shape, at = "results") {
+  schema = resolve(schema);
+  // {} documents any value
+  if (!schema.type && !schema.nullable) return [];
+  if (shape === "null") {
+    return schema.nullable ? [] : [`${at}: null but not documented as nullable`];
+  }
+  if (Array.isArray(shape)) {
+    if (schema.type !== "array") return [`${at}: array documented as ${schema.type}`];
+    return shape.length ? compare(schema.items, shape[0], `${at}[]`) : [];
+  }
+  if (typeof shape === "object") {
+    if (schema.type !== "object") return [`${at}: object documented as ${schema.type}`];
+    const properties = schema.properties || {};
+    const open = schema.additionalProperties;
+    // open objects list the fields only some items have
+    const problems = Object.keys(properties)
+      .filter((key) => !open && !(key in shape))
+      .map((key) => `${at}.${key}: documented but never returned`);
+    for (const [key, value] of Object.entries(shape)) {
+      if (properties[key]) {
+        problems.push(...compare(properties[key], value, `${at}.${key}`));
+      } else if (typeof open === "object") {
+        problems.push(...compare(open, value, `${at}.${key}`));
+      } else if (!open) {
+        problems.push(`${at}.${key}: returned but not documented`);
+      }
+    }
+    return problems;
+  }
+  return TYPES[shape]?.includes(schema.type)
+    ? []
+    : [`${at}: ${shape} documented as ${schema.type}`];
+}
+
+describe("api docs", () => {
+  for (const [name, { schema, shape = (value) => value }] of Object.entries(
+    documented
+  )) {
+    it(`documents the ${name} snapshot's shape`, () => {
+      const snapshot = JSON.parse(
+        fs.readFileSync(new URL(`${name}.json`, SNAPSHOTS_DIR), "utf8")
+      );
+      assert.deepEqual(compare(schema, shape(snapshot)), []);
+    });
+  }
+
+  it("catches a documented type the snapshot contradicts", () => {
+    assert.deepEqual(
+      compare({ type: "object", properties: { id: { type: "integer" } } }, {
+        id: "string",
+        title: "string",
+      }),
+      [
+        "results.id: string documented as integer",
+        "results.title: returned but not documented",
+      ]
+    );
+  });
+});
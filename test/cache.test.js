@@ -0,0 +1,81 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+
+// withCache against the in-memory store. The driver is read on import, so
+// the environment is set first.
+process.env.CACHE_DRIVER = "memory";
+
+const { withCache, setCachedData, getCachedData } = await import(
+  "../src/helper/cache.helper.js"
+);
+
+// A fetcher counting its calls, whose results the test hands out
+function deferredFetcher() {
+  const pending = [];
+  const fetcher = () =>
+    new Promise((resolve, reject) => pending.push({ resolve, reject }));
+  return { fetcher, pending };
+}
+
+const staleEntry = (value) => ({ value, staleAt: Date.now() - 1 });
+
+// lets the unawaited cache write of a refresh land
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("withCache", () => {
+  it("shares one upstream fetch between concurrent misses", async () => {
+    const { fetcher, pending } = deferredFetcher();
+    const reads = [1, 2, 3].map(() => withCache("coalesce", 60, fetcher));
+    await settle();
+    assert.equal(pending.length, 1);
+    pending[0].resolve({ page: 1 });
+    for (const value of await Promise.all(reads)) {
+      assert.deepEqual(value, { page: 1 });
+    }
+  });
+
+  it("serves fresh entries without fetching", async () => {
+    let calls = 0;
+    const fetcher = async () => ({ calls: ++calls });
+    assert.deepEqual(await withCache("fresh", 60, fetcher), { calls: 1 });
+    await settle();
+    assert.deepEqual(await withCache("fresh", 60, fetcher), { calls: 1 });
+    assert.equal(calls, 1);
+  });
+
+  it("serves a stale entry at once and refreshes it once in the background", async () => {
+    await setCachedData("stale", staleEntry({ v: "old" }), 60);
+    const { fetcher, pending } = deferredFetcher();
+    assert.deepEqual(await withCache("stale", 60, fetcher), { v: "old" });
+    assert.deepEqual(await withCache("stale", 60, fetcher), { v: "old" });
+    assert.equal(pending.length, 1);
+    pending[0].resolve({ v: "new" });
+    await settle();
+    assert.deepEqual(await withCache("stale", 60, fetcher), { v: "new" });
+    assert.equal(pending.length, 1);
+  });
+
+  it("keeps serving the stale entry when the refresh fails", async (t) => {
+    t.mock.method(console, "error", () => {});
+    await setCachedData("failing", staleEntry({ v: "old" }), 60);
+    const { fetcher, pending } = deferredFetcher();
+    assert.deepEqual(await withCache("failing", 60, fetcher), { v: "old" });
+    pending[0].reject(new Error("upstream down"));
+    await settle();
+    assert.deepEqual(await withCache("failing", 60, fetcher), { v: "old" });
+    assert.equal(pending.length, 2);
+  });
+
+  it("doesn't store values shouldCache refuses", async () => {
+    let calls = 0;
+    const fetcher = async () => ({ data: [], calls: ++calls });
+    const options = { shouldCache: (value) => value.data.length > 0 };
+    await withCache("empty", 60, fetcher, options);
+    await settle();
+    assert.equal(await getCachedData("empty"), null);
+    assert.deepEqual(await withCache("empty", 60, fetcher, options), {
+      data: [],
+      calls: 2,
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "assert/strict";
+import { AxiosError } from "axios";
+import { useFixtures } from "./helpers/fixtures.js";
+import { checkExtractors } from "../src/helper/extractorHealth.helper.js";
+
+// The canaries against the fixtures, then the servers one broken in two
+// different ways
+const SERVERS_URL = /\/ajax\/v2\/episode\/servers\?/;
+
+// The day the schedule fixture was recorded, the canary asks for today's
+// schedule in SCHEDULE_TIMEZONE
+const SCHEDULE_DAY = new Date("2026-10-18T06:00:00Z");
+
+// Cloudflare answering instead of hianime, on every mirror
+function outage(request) {
+  const response = {
+    status: 503,
+    statusText: "",
+    headers: { "cf-mitigated": "challenge" },
+    data: "",
+    config: request,
+  };
+  throw new AxiosError(
+    "Request failed with status code 503",
+    AxiosError.ERR_BAD_RESPONSE,
+    request,
+    null,
+    response
+  );
+}
+
+// Servers still listed, but their names moved out of the selector
+const markupChange = () => ({
+  status: 200,
+  headers: { "content-type": "application/json" },
+  data: {
+    status: true,
+    html: '<div class="server-item" data-type="sub" data-id="662001" data-server-id="4"><span>HD-1</span></div>',
+  },
+});
+
+describe("extractor health", () => {
+  let failure = null;
+  let restore;
+  before(() => {
+    mock.timers.enable({ apis: ["Date"], now: SCHEDULE_DAY });
+    restore = useFixtures((request) =>
+      failure && SERVERS_URL.test(request.url) ? failure(request) : undefined
+    );
+  });
+  after(() => {
+    restore();
+    mock.timers.reset();
+  });
+
+  it("reports the servers and schedule canaries as ok against the fixtures", async () => {
+    const { extractors } = await checkExtractors();
+    assert.equal(extractors.servers.status, "ok");
+    assert.equal(extractors.servers.lastRun.fetched, true);
+    assert.equal(extractors.schedule.status, "ok");
+    assert.equal(extractors.schedule.lastRun.fetched, true);
+  });
+
+  it("reports an outage as unreachable, not as a markup change", async () => {
+    failure = outage;
+    const { extractors } = await checkExtractors();
+    const { servers } = extractors;
+    assert.equal(servers.status, "unreachable");
+    assert.equal(servers.markupChangeSuspected, false);
+    assert.equal(servers.lastRun.fetched, false);
+    assert.equal(servers.lastRun.error.code, "UPSTREAM_UNAVAILABLE");
+    // the rates of the last round that was fetched
+    assert.equal(servers.fields["[].serverName"].fillRate, 1);
+  });
+
+  it("flags fields a fetched page stopped filling", async () => {
+    failure = markupChange;
+    const { extractors } = await checkExtractors();
+    const { servers } = extractors;
+    assert.equal(servers.status, "degraded");
+    assert.equal(servers.markupChangeSuspected, true);
+    assert.deepEqual(servers.flaggedFields, ["[].serverName"]);
+  });
+});
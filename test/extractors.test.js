@@ -0,0 +1,169 @@
+import { describe, it, before, after } from "node:test";
+import assert from "assert/strict";
+import { useFixtures } from "./helpers/fixtures.js";
+import { matchSnapshot } from "./helpers/snapshot.js";
+import extractSpotlights, {
+  requiredFields as spotlightFields,
+} from "../src/extractors/spotlight.extractor.js";
+import extractTrending, {
+  requiredFields as trendingFields,
+} from "../src/extractors/trending.extractor.js";
+import extractTopTen, {
+  requiredFields as topTenFields,
+} from "../src/extractors/topten.extractor.js";
+import extractTopSearch, {
+  requiredFields as topSearchFields,
+} from "../src/extractors/topsearch.extractor.js";
+import extractAnimeInfo, {
+  requiredFields as animeInfoFields,
+} from "../src/extractors/animeInfo.extractor.js";
+import extractSeasons, {
+  requiredFields as seasonsFields,
+} from "../src/extractors/seasons.extractor.js";
+import extractEpisodesList, {
+  requiredFields as episodeListFields,
+} from "../src/extractors/episodeList.extractor.js";
+import extractNextEpisodeSchedule from "../src/extractors/getNextEpisodeSchedule.extractor.js";
+import {
+  extractServers,
+  requiredFields as serverFields,
+} from "../src/extractors/streamInfo.extractor.js";
+import { extractSubtitle } from "../src/extractors/subtitle.extractor.js";
+import {
+  extractor as extractCategory,
+  requiredFields as categoryFields,
+} from "../src/extractors/category.extractor.js";
+import extractSearchResults, {
+  requiredFields as searchFields,
+} from "../src/extractors/search.extractor.js";
+import extractFilterResults, {
+  requiredFields as filterFields,
+} from "../src/extractors/filter.extractor.js";
+import getSuggestions, {
+  requiredFields as suggestionFields,
+} from "../src/extractors/suggestion.extractor.js";
+import extractSchedule, {
+  requiredFields as scheduleFields,
+} from "../src/extractors/schedule.extractor.js";
+import extractQtip, {
+  requiredFields as qtipFields,
+} from "../src/extractors/qtip.extractor.js";
+import extractRandom from "../src/extractors/random.extractor.js";
+import extractRandomId from "../src/extractors/randomId.extractor.js";
+import extractVoiceActor, {
+  requiredFields as voiceActorFields,
+} from "../src/extractors/voiceactor.extractor.js";
+import extractActor, {
+  requiredFields as actorFields,
+} from "../src/extractors/actors.extractor.js";
+import extractCharacter, {
+  requiredFields as characterFields,
+} from "../src/extractors/characters.extractor.js";
+import extractWatchlist, {
+  requiredFields as watchlistFields,
+} from "../src/extractors/watchlist.extractor.js";
+import { NotFoundError, ParseError } from "../src/helper/errors.helper.js";
+import { fillRates } from "../src/helper/extractorHealth.helper.js";
+
+// Every extractor against the saved upstream pages in test/fixtures, see
+// README.md#tests for recording them again
+const cases = {
+  spotlight: () => extractSpotlights(),
+  trending: () => extractTrending(),
+  topten: () => extractTopTen(),
+  topsearch: () => extractTopSearch(),
+  animeInfo: () => extractAnimeInfo("one-piece-100"),
+  seasons: () => extractSeasons("one-piece-100"),
+  episodeList: () => extractEpisodesList("one-piece-100"),
+  nextEpisodeSchedule: () => extractNextEpisodeSchedule("one-piece-100"),
+  servers: () => extractServers("2142"),
+  subtitle: () => extractSubtitle("662001"),
+  category: () => extractCategory("most-popular", 1),
+  search: () => extractSearchResults({ keyword: "one piece" }),
+  filter: () => extractFilterResults({ type: "tv" }),
+  suggestion: () => getSuggestions("one"),
+  schedule: () => extractSchedule("2026-10-18", 330),
+  qtip: () => extractQtip(100),
+  random: () => extractRandom(),
+  randomId: () => extractRandomId(),
+  voiceactor: () => extractVoiceActor("one-piece-100", 1),
+  actors: () => extractActor("mayumi-tanaka-33"),
+  characters: () => extractCharacter("monkey-d-luffy-1"),
+  watchlist: () => extractWatchlist("itzzzme", 1),
+};
+
+// Fields each case has to fill, see extractorHealth.helper.js
+const required = {
+  spotlight: spotlightFields,
+  trending: trendingFields,
+  topten: topTenFields,
+  topsearch: topSearchFields,
+  animeInfo: animeInfoFields,
+  seasons: seasonsFields,
+  episodeList: episodeListFields,
+  servers: serverFields,
+  category: categoryFields,
+  search: searchFields,
+  filter: filterFields,
+  suggestion: suggestionFields,
+  schedule: scheduleFields,
+  qtip: qtipFields,
+  random: animeInfoFields,
+  voiceactor: voiceActorFields,
+  actors: actorFields,
+  characters: characterFields,
+  watchlist: watchlistFields,
+};
+
+describe("extractors", () => {
+  let restore;
+  before(() => {
+    restore = useFixtures();
+  });
+  after(() => restore());
+
+  for (const [name, run] of Object.entries(cases)) {
+    it(`${name} matches its snapshot`, async () => {
+      matchSnapshot(name, await run());
+    });
+  }
+
+  for (const [name, fields] of Object.entries(required)) {
+    it(`${name} fills every required field`, async () => {
+      const rates = fillRates(await cases[name](), fields);
+      const unfilled = fields.filter((field) => rates[field] < 1);
+      assert.deepEqual(unfilled, [], `${name} left fields unfilled`);
+    });
+  }
+
+  it("reads the ids the pages link to", async () => {
+    const [info, episodes, schedule] = await Promise.all([
+      extractAnimeInfo("one-piece-100"),
+      extractEpisodesList("one-piece-100"),
+      extractSchedule("2026-10-18", 330),
+    ]);
+    assert.equal(info.data_id, "100");
+    assert.equal(info.anilistId, "21");
+    assert.deepEqual(info.animeInfo.Genres, ["Action", "Adventure", "Fantasy"]);
+    assert.equal(episodes.totalEpisodes, 3);
+    assert.equal(episodes.episodes[0].id, "one-piece-100?ep=2142");
+    assert.equal(episodes.episodes[2].filler, true);
+    assert.equal(schedule[0].airingAt, "2026-10-18T09:30:00+05:30");
+    assert.equal(await extractRandomId(), "one-piece-100");
+  });
+
+  it("reads the page count from the pagination", async () => {
+    const { totalPages } = await extractCategory("most-popular", 1);
+    const [searchPages] = await extractSearchResults({ keyword: "one piece" });
+    assert.equal(totalPages, 50);
+    assert.equal(searchPages, 3);
+  });
+
+  it("reports a page upstream doesn't have as not found", async () => {
+    await assert.rejects(extractQtip(999999), NotFoundError);
+  });
+
+  it("reports an answer without the expected markup as a parse failure", async () => {
+    await assert.rejects(extractServers("9999"), ParseError);
+  });
+});
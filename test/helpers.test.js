@@ -0,0 +1,106 @@
+import { describe, it, before, after } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { useFixtures } from "./helpers/fixtures.js";
+import { matchSnapshot, shapeOf } from "./helpers/snapshot.js";
+import { httpGet } from "../src/helper/http.helper.js";
+
+// The test helpers themselves, against temporary directories
+
+const notFound = (error) => error.response?.status === 404;
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "anime-api-"));
+
+describe("matchSnapshot", () => {
+  let dir;
+  before(() => {
+    dir = tempDir();
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("keeps the shape of values, telling empty strings and arrays apart", () => {
+    assert.deepEqual(shapeOf({ b: [{ x: 1 }], a: "", c: [], d: null }), {
+      a: "empty string",
+      b: [{ x: "number" }],
+      c: [],
+      d: "null",
+    });
+  });
+
+  it("fails on a missing snapshot without writing it", () => {
+    assert.throws(
+      () => matchSnapshot("missing", { title: "x" }, { dir, update: false }),
+      /missing has no snapshot/
+    );
+    assert.equal(fs.existsSync(path.join(dir, "missing.json")), false);
+  });
+
+  it("writes snapshots in update mode and compares them otherwise", () => {
+    matchSnapshot("anime", { title: "One Piece" }, { dir, update: true });
+    assert.deepEqual(
+      JSON.parse(fs.readFileSync(path.join(dir, "anime.json"), "utf8")),
+      { title: "string" }
+    );
+    matchSnapshot("anime", { title: "Dandadan" }, { dir, update: false });
+    assert.throws(
+      () => matchSnapshot("anime", { title: "" }, { dir, update: false }),
+      /anime no longer matches its snapshot/
+    );
+  });
+});
+
+describe("useFixtures", () => {
+  let dir;
+  let server;
+  let base;
+  let hits = 0;
+  before(async () => {
+    dir = tempDir();
+    server = http.createServer((req, res) => {
+      hits++;
+      const found = req.url === "/anime?id=1";
+      res.writeHead(found ? 200 : 404, { "content-type": "application/json" });
+      res.end(JSON.stringify(found ? { title: "One Piece" } : { error: true }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("records answers, errors included", async () => {
+    const restore = useFixtures(undefined, { dir, record: true });
+    try {
+      const { data } = await httpGet(`${base}/anime?id=1`);
+      assert.deepEqual(data, { title: "One Piece" });
+      await assert.rejects(
+        httpGet(`${base}/anime?id=2`, { retries: 0 }),
+        notFound
+      );
+    } finally {
+      restore();
+    }
+    const index = JSON.parse(fs.readFileSync(path.join(dir, "index.json"), "utf8"));
+    assert.equal(index[`GET ${base}/anime?id=1`].status, 200);
+    assert.equal(index[`GET ${base}/anime?id=2`].status, 404);
+  });
+
+  it("replays what it recorded without reaching the network", async () => {
+    const seen = hits;
+    const restore = useFixtures(undefined, { dir, record: false });
+    try {
+      const { data } = await httpGet(`${base}/anime?id=1`);
+      assert.deepEqual(data, { title: "One Piece" });
+      await assert.rejects(httpGet(`${base}/anime?id=2`), notFound);
+      await assert.rejects(httpGet(`${base}/anime?id=3`), /No fixture for GET/);
+    } finally {
+      restore();
+    }
+    assert.equal(hits, seen);
+  });
+});
@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AxiosError } from "axios";
+import { setTransport } from "../../src/helper/http.helper.js";
+
+// Upstream responses the extractors are tested against, one body per file
+// and index.json describing them:
+//   "GET https://hianime.to/home" -> { file, status, contentType, responseUrl }
+// RECORD_FIXTURES=1 fetches every request for real and saves the answer,
+// otherwise requests without a fixture fail.
+
+const FIXTURES_DIR = fileURLToPath(new URL("../fixtures/", import.meta.url));
+
+export const RECORD = process.env.RECORD_FIXTURES === "1";
+
+const indexFile = (dir) => path.join(dir, "index.json");
+
+const readIndex = (dir) =>
+  fs.existsSync(indexFile(dir))
+    ? JSON.parse(fs.readFileSync(indexFile(dir), "utf8"))
+    : {};
+
+const requestKey = (request) =>
+  `${(request.method || "get").toUpperCase()} ${request.url}`;
+
+// "https://hianime.to/ajax/v2/episode/list/100" -> "hianime.to_ajax_v2_episode_list_100"
+function fileName(url, contentType = "") {
+  const { host, pathname, search } = new URL(url);
+  const slug = `${host}${pathname}${search}`
+    .replace(/[^\w.-]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 150);
+  if (contentType.includes("json")) return `${slug}.json`;
+  if (contentType.includes("html")) return `${slug}.html`;
+  return `${slug}.txt`;
+}
+
+function replay(dir, index, request) {
+  const entry = index[requestKey(request)];
+  if (!entry) {
+    // a 404 is neither retried nor failed over to another mirror
+    throw new AxiosError(
+      `No fixture for ${requestKey(request)}, record it with RECORD_FIXTURES=1`,
+      AxiosError.ERR_BAD_REQUEST,
+      request,
+      null,
+      { status: 404, headers: {}, data: "", config: request }
+    );
+  }
+  const body = fs.readFileSync(path.join(dir, entry.file), "utf8");
+  const response = {
+    status: entry.status,
+    statusText: "",
+    headers: { "content-type": entry.contentType },
+    data: entry.file.endsWith(".json") ? JSON.parse(body) : body,
+    config: request,
+    // where redirects ended, /random relies on it
+    request: { res: { responseUrl: entry.responseUrl || request.url } },
+  };
+  if (entry.status >= 400) {
+    throw new AxiosError(
+      `Request failed with status code ${entry.status}`,
+      AxiosError.ERR_BAD_RESPONSE,
+      request,
+      response.request,
+      response
+    );
+  }
+  return response;
+}
+
+async function record(dir, index, request, send) {
+  let response;
+  try {
+    response = await send(request);
+  } catch (error) {
+    if (!error.response) throw error;
+    response = error.response;
+  }
+  const contentType = String(response.headers?.["content-type"] || "");
+  const file = fileName(request.url, contentType);
+  const body =
+    typeof response.data === "string"
+      ? response.data
+      : `${JSON.stringify(response.data, null, 2)}\n`;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), body);
+  index[requestKey(request)] = {
+    file,
+    status: response.status,
+    contentType,
+    responseUrl: response.request?.res?.responseUrl,
+  };
+  fs.writeFileSync(indexFile(dir), `${JSON.stringify(index, null, 2)}\n`);
+  return replay(dir, index, request);
+}
+
+/**
+ * Answers every upstream request from the fixtures, or records them in
+ * RECORD mode. Call the returned function to restore real requests.
+ * @param {Function} [intercept] - (request) -> response, or undefined to
+ *   answer from the fixtures; may throw to simulate a failure
+ * @param {object} [options]
+ * @param {string} [options.dir] - Where fixtures are kept, test/fixtures
+ * @param {boolean} [options.record] - Record instead of replay, from the
+ *   environment by default
+ * @returns {Function}
+ */
+export function useFixtures(
+  intercept,
+  { dir = FIXTURES_DIR, record: recording = RECORD } = {}
+) {
+  const index = readIndex(dir);
+  setTransport(
+    (request, send) =>
+      intercept?.(request) ??
+      (recording
+        ? record(dir, index, request, send)
+        : replay(dir, index, request))
+  );
+  return () => setTransport(null);
+}
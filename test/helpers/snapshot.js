@@ -0,0 +1,64 @@
+import fs from "fs";
+import path from "path";
+import assert from "assert/strict";
+import { fileURLToPath } from "url";
+
+// Snapshots keep the shape of an extractor's output rather than its values,
+// so refreshed fixtures only break a test when the structure moves.
+// UPDATE_SNAPSHOTS=1 (or recording fixtures) rewrites them, and is the only
+// way a missing one gets written: without it, as on CI, it fails the test.
+
+const SNAPSHOTS_DIR = fileURLToPath(new URL("../snapshots/", import.meta.url));
+
+const UPDATE =
+  process.env.UPDATE_SNAPSHOTS === "1" || process.env.RECORD_FIXTURES === "1";
+
+/**
+ * Type of every field, with empty strings and arrays told apart since a
+ * selector that stopped matching usually yields one of them. Arrays keep
+ * the shape of their first item.
+ * @param {any} value
+ * @returns {any}
+ */
+export function shapeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return value.length ? [shapeOf(value[0])] : [];
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, shapeOf(value[key])])
+    );
+  }
+  if (value === "") return "empty string";
+  return typeof value;
+}
+
+/**
+ * Compares the shape of `value` with the saved snapshot `name`, or saves it
+ * in update mode.
+ * @param {string} name - Snapshot file name, without extension
+ * @param {any} value
+ * @param {object} [options]
+ * @param {string} [options.dir] - Where snapshots are kept, test/snapshots
+ * @param {boolean} [options.update] - Write instead of compare, from the
+ *   environment by default
+ */
+export function matchSnapshot(
+  name,
+  value,
+  { dir = SNAPSHOTS_DIR, update = UPDATE } = {}
+) {
+  const file = path.join(dir, `${name}.json`);
+  const shape = shapeOf(value);
+  if (update) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(shape, null, 2)}\n`);
+    return;
+  }
+  if (!fs.existsSync(file)) {
+    assert.fail(`${name} has no snapshot, write it with npm run test:update`);
+  }
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.deepEqual(shape, saved, `${name} no longer matches its snapshot`);
+}
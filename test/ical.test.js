@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { toICalendar } from "../src/helper/ical.helper.js";
+import { episodeEvent } from "../src/controllers/schedule.controller.js";
+
+// The calendar text /api/schedule/ical serves, unfolded back into content
+// lines where the folding itself isn't what's checked
+
+const event = (fields) => ({
+  uid: "one-piece-100-1122@anime-api",
+  start: new Date("2026-10-18T16:30:00Z"),
+  end: new Date("2026-10-18T16:54:00Z"),
+  summary: "One Piece - Episode 1122",
+  ...fields,
+});
+
+const contentLines = (calendar) => calendar.replace(/\r\n /g, "").split("\r\n");
+
+const property = (calendar, name) =>
+  contentLines(calendar).find((line) => line.startsWith(`${name}:`));
+
+describe("toICalendar", () => {
+  it("wraps events in a calendar with CRLF line endings", () => {
+    const calendar = toICalendar({ name: "Airing", events: [event()] });
+    assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+    assert.equal(calendar.replace(/\r\n/g, "").includes("\n"), false);
+    const lines = contentLines(calendar);
+    assert.equal(lines[0], "BEGIN:VCALENDAR");
+    assert.ok(lines.includes("X-WR-CALNAME:Airing"));
+    assert.equal(lines.filter((line) => line === "BEGIN:VEVENT").length, 1);
+  });
+
+  it("writes UID, DTSTART and DTEND in UTC basic format", () => {
+    const calendar = toICalendar({ name: "Airing", events: [event()] });
+    assert.equal(property(calendar, "UID"), "UID:one-piece-100-1122@anime-api");
+    assert.equal(property(calendar, "DTSTART"), "DTSTART:20261018T163000Z");
+    assert.equal(property(calendar, "DTEND"), "DTEND:20261018T165400Z");
+    assert.match(property(calendar, "DTSTAMP"), /^DTSTAMP:\d{8}T\d{6}Z$/);
+  });
+
+  it("escapes backslashes, separators and newlines in text", () => {
+    const calendar = toICalendar({
+      name: "Airing; today, all",
+      events: [
+        event({ summary: "Re:Zero, Part 2; C:\\ward", description: "a\nb\r\nc" }),
+      ],
+    });
+    assert.equal(
+      property(calendar, "X-WR-CALNAME"),
+      "X-WR-CALNAME:Airing\\; today\\, all"
+    );
+    assert.equal(
+      property(calendar, "SUMMARY"),
+      "SUMMARY:Re:Zero\\, Part 2\\; C:\\\\ward"
+    );
+    assert.equal(property(calendar, "DESCRIPTION"), "DESCRIPTION:a\\nb\\nc");
+  });
+
+  it("folds long lines at 75 octets without splitting characters", () => {
+    const summary = `${"Shingeki no Kyojin ".repeat(3)}${"進撃の巨人 ".repeat(10)}`;
+    const calendar = toICalendar({ name: "Airing", events: [event({ summary })] });
+    const physical = calendar.split("\r\n");
+    const start = physical.findIndex((line) => line.startsWith("SUMMARY:"));
+    const folded = [physical[start]];
+    for (let i = start + 1; physical[i].startsWith(" "); i++) folded.push(physical[i]);
+    assert.ok(folded.length > 1);
+    for (const line of folded) {
+      assert.ok(Buffer.byteLength(line, "utf8") <= 75, line);
+    }
+    assert.equal(property(calendar, "SUMMARY"), `SUMMARY:${summary}`);
+  });
+
+  it("leaves lines of exactly 75 octets unfolded", () => {
+    const summary = "x".repeat(75 - "SUMMARY:".length);
+    const calendar = toICalendar({ name: "Airing", events: [event({ summary })] });
+    assert.ok(calendar.includes(`\r\nSUMMARY:${summary}\r\n`));
+  });
+});
+
+describe("episodeEvent", () => {
+  const item = {
+    id: "one-piece-100",
+    title: "One Piece",
+    episode_no: 1122,
+    airingAt: "2026-10-18T16:30:00Z",
+  };
+
+  it("keeps the UID of an episode when its airing time moves", () => {
+    const moved = episodeEvent({ ...item, airingAt: "2026-10-18T18:00:00Z" });
+    assert.equal(episodeEvent(item).uid, "one-piece-100-1122@anime-api");
+    assert.equal(moved.uid, episodeEvent(item).uid);
+    assert.equal(moved.start.toISOString(), "2026-10-18T18:00:00.000Z");
+  });
+
+  it("skips entries without a usable airing time", () => {
+    assert.equal(episodeEvent({ ...item, airingAt: undefined }), null);
+    assert.equal(episodeEvent({ ...item, airingAt: "soon" }), null);
+  });
+});
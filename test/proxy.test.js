@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { routeSchemas } from "../src/routes/apiSchemas.js";
+import { validateRequest } from "../src/helper/validation.helper.js";
+import { ValidationError } from "../src/helper/errors.helper.js";
+import { rewritePlaylist, isPlaylist } from "../src/helper/m3u8.helper.js";
+
+// The query checks the stream proxy runs before fetching anything
+const PLAYLIST = "https://megacloud.blog/x.m3u8";
+
+const fieldsRejected = (route, query) => {
+  try {
+    validateRequest(routeSchemas[route], { params: {}, query });
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.details.map((detail) => detail.field);
+  }
+};
+
+describe("proxy query", () => {
+  for (const route of ["GET /api/proxy/m3u8", "GET /api/proxy/segment"]) {
+    it(`${route} accepts http(s) urls`, () => {
+      assert.deepEqual(
+        fieldsRejected(route, {
+          url: PLAYLIST,
+          referer: "https://megacloud.blog/",
+          origin: "https://megacloud.blog",
+        }),
+        []
+      );
+    });
+
+    it(`${route} rejects a referer or origin that isn't a url`, () => {
+      assert.deepEqual(
+        fieldsRejected(route, { url: PLAYLIST, referer: "notaurl", origin: "file:///etc" }),
+        ["referer", "origin"]
+      );
+      assert.deepEqual(fieldsRejected(route, { url: "megacloud.blog/x" }), ["url"]);
+    });
+  }
+});
+
+// Marks what each URI was rewritten as, instead of building proxy urls
+const mark = (url, playlist) => `${playlist ? "playlist" : "segment"}:${url}`;
+const BASE = "https://cdn.example/hls/show/master.m3u8?token=1";
+
+describe("rewritePlaylist", () => {
+  it("routes variants and renditions of a master playlist as playlists", () => {
+    const master = [
+      "#EXTM3U",
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="ja",URI="audio/ja.m3u8"',
+      "#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=1280x720",
+      "720/index",
+      '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=90000,URI="/iframes.m3u8"',
+      "",
+    ].join("\r\n");
+    assert.equal(
+      rewritePlaylist(master, BASE, mark),
+      [
+        "#EXTM3U",
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="ja",URI="playlist:https://cdn.example/hls/show/audio/ja.m3u8"',
+        "#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=1280x720",
+        "playlist:https://cdn.example/hls/show/720/index",
+        '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=90000,URI="playlist:https://cdn.example/iframes.m3u8"',
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("routes keys, init sections and segments of a media playlist as segments", () => {
+    const media = [
+      "#EXTM3U",
+      "#EXT-X-TARGETDURATION:10",
+      '#EXT-X-KEY:METHOD=AES-128,URI="../key.bin",IV=0x1',
+      '#EXT-X-MAP:URI="init.mp4"',
+      "#EXTINF:10.0,",
+      "seg-1.ts?sig=abc",
+      "#EXTINF:10.0,",
+      "https://other.example/seg-2.ts",
+      "#EXT-X-ENDLIST",
+    ].join("\n");
+    assert.deepEqual(rewritePlaylist(media, BASE, mark).split("\n"), [
+      "#EXTM3U",
+      "#EXT-X-TARGETDURATION:10",
+      '#EXT-X-KEY:METHOD=AES-128,URI="segment:https://cdn.example/hls/key.bin",IV=0x1',
+      '#EXT-X-MAP:URI="segment:https://cdn.example/hls/show/init.mp4"',
+      "#EXTINF:10.0,",
+      "segment:https://cdn.example/hls/show/seg-1.ts?sig=abc",
+      "#EXTINF:10.0,",
+      "segment:https://other.example/seg-2.ts",
+      "#EXT-X-ENDLIST",
+    ]);
+  });
+
+  it("treats a bare .m3u8 uri as a playlist", () => {
+    assert.equal(
+      rewritePlaylist("#EXTM3U\nlow.m3u8?x=1", BASE, mark),
+      "#EXTM3U\nplaylist:https://cdn.example/hls/show/low.m3u8?x=1"
+    );
+  });
+});
+
+describe("isPlaylist", () => {
+  it("recognises playlists by content type or body", () => {
+    assert.equal(isPlaylist("application/vnd.apple.mpegurl", ""), true);
+    assert.equal(isPlaylist("text/plain", "  #EXTM3U\n"), true);
+    assert.equal(isPlaylist("video/mp2t", Buffer.from("#EXTM3U")), false);
+    assert.equal(isPlaylist(undefined, "<html>"), false);
+  });
+});
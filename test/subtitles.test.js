@@ -0,0 +1,164 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { routeSchemas } from "../src/routes/apiSchemas.js";
+import { validateRequest } from "../src/helper/validation.helper.js";
+import {
+  detectFormat,
+  parseSubtitles,
+  shiftCues,
+  toVtt,
+  toSrt,
+  toAss,
+} from "../src/helper/subtitle.helper.js";
+
+const TRACK = "https://megacloud.blog/subtitles/eng.vtt";
+
+describe("subtitles query", () => {
+  const validate = (query) =>
+    validateRequest(routeSchemas["GET /api/subtitles"], { params: {}, query });
+
+  it("accepts a track with its referer and origin", () => {
+    validate({
+      url: TRACK,
+      referer: "https://megacloud.blog/",
+      origin: "https://megacloud.blog",
+      format: "srt",
+    });
+  });
+
+  it("rejects a referer or origin that isn't a url as bad input", () => {
+    assert.throws(() => validate({ url: TRACK, referer: "notaurl" }), {
+      code: "BAD_INPUT",
+      details: [
+        { field: "referer", in: "query", message: "must be an absolute http(s) url" },
+      ],
+    });
+    assert.throws(() => validate({ url: TRACK, origin: "megacloud" }), {
+      code: "BAD_INPUT",
+    });
+  });
+});
+
+// The same two cues in each format the proxy reads
+const VTT = [
+  "WEBVTT",
+  "",
+  "1",
+  "00:00:01.500 --> 00:00:03.000 align:start line:90%",
+  "<c.yellow>Hello</c>, <i>world</i>",
+  "",
+  "01:02:03.040 --> 01:02:05.000",
+  "Two",
+  "lines",
+  "",
+].join("\n");
+
+const SRT = [
+  "1",
+  "00:00:01,500 --> 00:00:03,000",
+  "Hello, <i>world</i>",
+  "",
+  "2",
+  "01:02:03,040 --> 01:02:05,000",
+  "Two",
+  "lines",
+  "",
+].join("\r\n");
+
+const ASS = [
+  "[Script Info]",
+  "ScriptType: v4.00+",
+  "",
+  "[Events]",
+  "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  "Dialogue: 0,0:00:01.50,0:00:03.00,Default,,0,0,0,,{\\an8}Hello, {\\i1}world{\\i0}",
+  "Dialogue: 0,1:02:03.04,1:02:05.00,Default,,0,0,0,,Two\\Nlines",
+  "",
+].join("\n");
+
+const times = (cues) => cues.map(({ start, end }) => [start, end]);
+
+describe("subtitle conversion", () => {
+  it("detects the format of a file", () => {
+    assert.equal(detectFormat(VTT), "vtt");
+    assert.equal(detectFormat(`\uFEFF${VTT}`), "vtt");
+    assert.equal(detectFormat(SRT), "srt");
+    assert.equal(detectFormat(ASS), "ass");
+  });
+
+  it("reads the same cues from VTT, SRT and ASS", () => {
+    for (const text of [VTT, SRT, ASS]) {
+      assert.deepEqual(times(parseSubtitles(text)), [
+        [1500, 3000],
+        [3723040, 3725000],
+      ]);
+      assert.equal(parseSubtitles(text)[1].text, "Two\nlines");
+    }
+    assert.equal(parseSubtitles(VTT)[0].settings, "align:start line:90%");
+    // ASS override tags become the matching inline tags, or go
+    assert.equal(parseSubtitles(ASS)[0].text, "Hello, <i>world</i>");
+  });
+
+  it("writes VTT with its header, cue settings and dotted times", () => {
+    assert.equal(
+      toVtt(parseSubtitles(SRT)),
+      [
+        "WEBVTT",
+        "",
+        "00:00:01.500 --> 00:00:03.000",
+        "Hello, <i>world</i>",
+        "",
+        "01:02:03.040 --> 01:02:05.000",
+        "Two",
+        "lines",
+        "",
+      ].join("\n")
+    );
+    assert.match(toVtt(parseSubtitles(VTT)), /00:00:03\.000 align:start line:90%\n/);
+  });
+
+  it("writes numbered SRT blocks keeping only the tags players know", () => {
+    assert.equal(
+      toSrt(parseSubtitles(VTT)),
+      [
+        "1",
+        "00:00:01,500 --> 00:00:03,000",
+        "Hello, <i>world</i>",
+        "",
+        "2",
+        "01:02:03,040 --> 01:02:05,000",
+        "Two",
+        "lines",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("writes ASS dialogue lines in centiseconds with override tags", () => {
+    const dialogue = toAss(parseSubtitles(VTT))
+      .split("\n")
+      .filter((line) => line.startsWith("Dialogue:"));
+    assert.deepEqual(dialogue, [
+      "Dialogue: 0,0:00:01.50,0:00:03.00,Default,,0,0,0,,Hello, {\\i1}world{\\i0}",
+      "Dialogue: 0,1:02:03.04,1:02:05.00,Default,,0,0,0,,Two\\Nlines",
+    ]);
+    assert.deepEqual(times(parseSubtitles(toAss(parseSubtitles(SRT)))), [
+      [1500, 3000],
+      [3723040, 3725000],
+    ]);
+  });
+
+  it("shifts cues, dropping the ones that end before 0", () => {
+    const cues = parseSubtitles(SRT);
+    assert.equal(shiftCues(cues, 0), cues);
+    assert.deepEqual(times(shiftCues(cues, 500)), [
+      [2000, 3500],
+      [3723540, 3725500],
+    ]);
+    assert.deepEqual(times(shiftCues(cues, -2000)), [
+      [0, 1000],
+      [3721040, 3723000],
+    ]);
+    assert.deepEqual(times(shiftCues(cues, -3000)), [[3720040, 3722000]]);
+  });
+});
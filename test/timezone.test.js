@@ -0,0 +1,113 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import {
+  parseTimezone,
+  zoneOffset,
+  dayOffset,
+  zoneDate,
+  formatOffset,
+  isValidDate,
+  addDays,
+} from "../src/helper/timezone.helper.js";
+import { BadInputError } from "../src/helper/errors.helper.js";
+
+// Offsets are minutes east of UTC, instants are fixed so the results don't
+// depend on when or where the tests run
+
+const at = (iso) => new Date(iso);
+
+describe("parseTimezone", () => {
+  it("reads fixed offsets in their usual spellings", () => {
+    assert.deepEqual(parseTimezone("+05:30"), { name: "+05:30", offset: 330 });
+    assert.deepEqual(parseTimezone("-0330"), { name: "-03:30", offset: -210 });
+    assert.deepEqual(parseTimezone("UTC+9"), { name: "+09:00", offset: 540 });
+    assert.deepEqual(parseTimezone(" gmt-8 "), { name: "-08:00", offset: -480 });
+  });
+
+  it("keeps IANA zones, whose offset depends on the date", () => {
+    assert.deepEqual(parseTimezone("Europe/Paris"), {
+      name: "Europe/Paris",
+      offset: null,
+    });
+  });
+
+  it("rejects offsets out of range and unknown zones as bad input", () => {
+    for (const value of ["+15:00", "+05:75", "Mars/Olympus", ""]) {
+      assert.throws(() => parseTimezone(value), BadInputError, value);
+    }
+  });
+});
+
+describe("zoneOffset", () => {
+  it("returns a fixed offset whatever the instant", () => {
+    const zone = parseTimezone("-03:30");
+    assert.equal(zoneOffset(zone, at("2026-01-15T12:00:00Z")), -210);
+    assert.equal(zoneOffset(zone, at("2026-07-15T12:00:00Z")), -210);
+  });
+
+  it("follows daylight saving time in IANA zones", () => {
+    const paris = parseTimezone("Europe/Paris");
+    assert.equal(zoneOffset(paris, at("2026-01-15T12:00:00Z")), 60);
+    assert.equal(zoneOffset(paris, at("2026-07-15T12:00:00Z")), 120);
+    const newYork = parseTimezone("America/New_York");
+    assert.equal(zoneOffset(newYork, at("2026-01-15T12:00:00Z")), -300);
+    assert.equal(zoneOffset(newYork, at("2026-07-15T12:00:00Z")), -240);
+  });
+
+  it("switches at the exact instant the clocks change", () => {
+    // Europe moves to summer time on 2026-03-29 at 01:00 UTC
+    const paris = parseTimezone("Europe/Paris");
+    assert.equal(zoneOffset(paris, at("2026-03-29T00:59:59Z")), 60);
+    assert.equal(zoneOffset(paris, at("2026-03-29T01:00:00Z")), 120);
+  });
+
+  it("handles zones without DST, half hours and UTC itself", () => {
+    const instant = at("2026-07-15T12:00:00Z");
+    assert.equal(zoneOffset(parseTimezone("Asia/Kolkata"), instant), 330);
+    assert.equal(zoneOffset(parseTimezone("UTC"), instant), 0);
+  });
+});
+
+describe("dayOffset", () => {
+  it("takes the offset at midday, after the night's DST switch", () => {
+    assert.equal(dayOffset(parseTimezone("Europe/Paris"), "2026-03-29"), 120);
+    assert.equal(dayOffset(parseTimezone("America/New_York"), "2026-11-01"), -300);
+    assert.equal(dayOffset(parseTimezone("America/New_York"), "2026-10-31"), -240);
+  });
+});
+
+describe("zoneDate", () => {
+  it("gives the calendar day an instant falls on in the zone", () => {
+    const instant = at("2026-10-18T23:30:00Z");
+    assert.equal(zoneDate(parseTimezone("Asia/Tokyo"), instant), "2026-10-19");
+    assert.equal(
+      zoneDate(parseTimezone("America/Los_Angeles"), instant),
+      "2026-10-18"
+    );
+    assert.equal(
+      zoneDate(parseTimezone("-05:00"), at("2026-10-18T03:00:00Z")),
+      "2026-10-17"
+    );
+  });
+});
+
+describe("date helpers", () => {
+  it("formats offsets as ±hh:mm", () => {
+    assert.equal(formatOffset(330), "+05:30");
+    assert.equal(formatOffset(-210), "-03:30");
+    assert.equal(formatOffset(0), "+00:00");
+  });
+
+  it("accepts only real YYYY-MM-DD dates", () => {
+    assert.equal(isValidDate("2028-02-29"), true);
+    assert.equal(isValidDate("2026-02-29"), false);
+    assert.equal(isValidDate("2026-1-01"), false);
+    assert.equal(isValidDate("2026-13-01"), false);
+  });
+
+  it("adds calendar days across months, years and DST switches", () => {
+    assert.equal(addDays("2026-03-28", 1), "2026-03-29");
+    assert.equal(addDays("2026-12-31", 1), "2027-01-01");
+    assert.equal(addDays("2026-03-01", -1), "2026-02-28");
+  });
+});
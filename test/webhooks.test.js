@@ -0,0 +1,63 @@
+import { describe, it, before, after } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The webhook routes behind WEBHOOK_TOKEN, against a temporary store. The
+// config is read on import, so the environment is set first.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "anime-api-"));
+process.env.WEBHOOK_TOKEN = "s3cret";
+process.env.WEBHOOK_FILE = path.join(dir, "webhooks.json");
+
+const { createWebhook, getWebhook, updateWebhook, deleteWebhook } =
+  await import("../src/controllers/webhook.controller.js");
+const { UnauthorizedError } = await import("../src/helper/errors.helper.js");
+
+const authorized = { authorization: "Bearer s3cret" };
+
+describe("webhooks", () => {
+  let id;
+  before(async () => {
+    ({ id } = await createWebhook({
+      headers: authorized,
+      body: { url: "https://example.com/hooks", animeIds: ["one-piece-100"] },
+    }));
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const [name, handler] of Object.entries({
+    create: createWebhook,
+    get: getWebhook,
+    update: updateWebhook,
+    delete: deleteWebhook,
+  })) {
+    it(`refuses to ${name} a webhook without the token`, async () => {
+      for (const authorization of [undefined, "Bearer nope", "s3cret"]) {
+        await assert.rejects(
+          handler({
+            headers: { authorization },
+            params: { id },
+            body: { language: "dub" },
+          }),
+          UnauthorizedError
+        );
+      }
+    });
+  }
+
+  it("leaves the subscription as it was after refused requests", async () => {
+    const subscription = await getWebhook({ headers: authorized, params: { id } });
+    assert.equal(subscription.url, "https://example.com/hooks");
+    assert.equal(subscription.language, "sub");
+    assert.equal(subscription.secret, undefined);
+  });
+
+  it("removes a webhook with the token", async () => {
+    await deleteWebhook({ headers: authorized, params: { id } });
+    await assert.rejects(
+      getWebhook({ headers: authorized, params: { id } }),
+      { code: "NOT_FOUND" }
+    );
+  });
+});